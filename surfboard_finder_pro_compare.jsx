@@ -1,6 +1,6 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Search, Filter, SlidersHorizontal, Star, Waves, Ruler, Layers, Columns2, PlusSquare, X, Sparkles } from "lucide-react";
+import { Search, Filter, SlidersHorizontal, Star, Waves, Ruler, Layers, Columns2, PlusSquare, X, Sparkles, Link2, Download, Printer } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -9,33 +9,60 @@ import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@
 import { Badge } from "@/components/ui/badge";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
+import { Slider } from "@/components/ui/slider";
+import campaignsConfig from "./campaigns.json";
 
 /**
  * Production-lean homepage with cross-shaper recommendations.
- * Data sources (zero-cost):
+ * Data source adapters (zero-cost); DATA_SOURCES lists the ones in use, tried in order until one answers:
  * - "github": raw JSON hosted on a public GitHub repo
  * - "airtable": CSV from an Airtable shared view (no API key)
+ * - "csv": models.csv + shapers.csv joined on shaper_id — remote (GitHub) or bundled with the app
+ * - "snapshot": a static JSON export of Board[]
+ * The last good catalog is cached in localStorage, so a revisit works offline.
  */
-const DATA_SOURCE: "github" | "airtable" = "github";
-const GITHUB_JSON_URL = "https://github.com/DJenkin82/Surfboard-Finder/blob/main/Surfboard%20Finder.txt"; // HTML URL is OK — auto-converted to raw
-const AIRTABLE_CSV_URL = "https://airtable.com/shrXXXXXXXXXXXXXX/tblXXXXXXXXXXXXXX/viwXXXXXXXXXXXXXX.csv"; // replace with your shared CSV link
+const MODELS_CSV_URL = "https://github.com/DJenkin82/Surfboard-Finder/blob/main/models.csv";
+const SHAPERS_CSV_URL = "https://github.com/DJenkin82/Surfboard-Finder/blob/main/shapers.csv";
+export type SourceConfig =
+  | { type: "github"; name?: string; url: string }
+  | { type: "airtable"; name?: string; url: string }
+  | { type: "csv"; name?: string; modelsUrl: string; shapersUrl: string }
+  | { type: "snapshot"; name?: string; url: string };
+const DATA_SOURCES: SourceConfig[] = [
+  { type: "csv", name: "github-csv", modelsUrl: MODELS_CSV_URL, shapersUrl: SHAPERS_CSV_URL },
+  { type: "csv", name: "bundled-csv", modelsUrl: "./models.csv", shapersUrl: "./shapers.csv" },
+];
 
 export type Ability = "beginner" | "intermediate" | "advanced";
 export type WaveType = "small_beach" | "mellow_point" | "punchy_reef" | "overhead";
+export interface Shaper {
+  id: string;
+  name: string;
+  country: string;
+  website: string;
+}
 export interface Board {
   id: string;
   shaper: string;
+  shaperId?: string;
+  shaperCountry?: string;
+  shaperWebsite?: string;
   model: string;
   waveTypes: WaveType[];
   abilities: Ability[];
   recommendedWeight: [number, number];
   length: string;
+  /** Total inches parsed from `length`; undefined when it couldn't be read. */
+  lengthIn?: number;
   volume: number;
   tail: string;
   fins: string;
   construction: string;
   img: string;
+  /** Catalog flag only — paid placement comes from campaigns.json and never touches the score. */
   sponsored?: boolean;
+  /** Line the board came from in its source file (CSV), so data issues point at something editable. */
+  sourceLine?: number;
 }
 
 const WAVE_TYPES = [
@@ -52,7 +79,7 @@ const ABILITIES = [
 ] as const;
 
 // Fallback (used when remote fetch fails)
-const FALLBACK_BOARDS: Board[] = [
+export const FALLBACK_BOARDS: Board[] = [
   { id: "js-monsta-2024", shaper: "JS Industries", model: "Monsta 2024", waveTypes: ["small_beach","mellow_point","punchy_reef"], abilities: ["intermediate","advanced"], recommendedWeight: [65,95], length: "6'0\"", volume: 31.5, tail: "Squash", fins: "Thruster / 5-fin", construction: "PU/PE", img: "https://images.unsplash.com/photo-1544551763-7ef420b9b04c?q=80&w=1200&auto=format&fit=crop" },
   { id: "ci-happy-everyday", shaper: "Channel Islands", model: "Happy Everyday", waveTypes: ["small_beach","mellow_point"], abilities: ["beginner","intermediate"], recommendedWeight: [55,90], length: "5'10\"", volume: 30.3, tail: "Rounded Squash", fins: "Thruster / Quad", construction: "PU/PE / Spine-Tek", img: "https://images.unsplash.com/photo-1540932239986-30128078f3c5?q=80&w=1200&auto=format&fit=crop", sponsored: true },
   { id: "pyzel-ghost", shaper: "Pyzel", model: "Ghost", waveTypes: ["punchy_reef","overhead"], abilities: ["intermediate","advanced"], recommendedWeight: [70,105], length: "6'2\"", volume: 32.8, tail: "Round", fins: "Thruster", construction: "PU/PE / Epoxy", img: "https://images.unsplash.com/photo-1496545672447-f699b503d270?q=80&w=1200&auto=format&fit=crop" },
@@ -61,110 +88,1325 @@ const FALLBACK_BOARDS: Board[] = [
 // ————— Logic helpers —————
 function round1(n:number){ return Math.round(n*10)/10; }
 function heuristicVolume(weightKg: number, ability: Ability){
-  const mult = { beginner: [0.45,0.55], intermediate: [0.38,0.47], advanced: [0.3,0.4] } as const;
-  const [a,b] = mult[ability];
-  return [round1(weightKg*a), round1(weightKg*b)] as const;
-}
-function scoreBoard(b: Board, weight: number, wave: WaveType, ability: Ability){
-  const [minV,maxV] = heuristicVolume(weight, ability);
-  const targetV = (minV+maxV)/2;
-  const volDiff = Math.abs(b.volume - targetV);
-  let s = 100 - Math.min(volDiff,40)*1.5; // volume closeness
-  if (b.waveTypes.includes(wave)) s += 10;
-  if (b.abilities.includes(ability)) s += 8;
-  const [wMin,wMax] = b.recommendedWeight;
-  if (weight>=wMin && weight<=wMax) s += 6; else s -= 6;
-  if (b.sponsored) s += 3; // light nudge
-  return s;
+  return computeVolume({ weightKg, ability }).range;
+}
+
+// ————— Volume model (guild factor) —————
+export type Fitness = "low" | "average" | "high";
+export type AgeBand = "under_30" | "30_44" | "45_59" | "60_plus";
+export type SurfFrequency = "occasional" | "monthly" | "weekly" | "daily";
+export interface VolumeInput { weightKg: number; ability: Ability; fitness?: Fitness; ageBand?: AgeBand; wave?: WaveType; frequency?: SurfFrequency; }
+export interface VolumeResult { range: readonly [number, number]; target: number; guildFactor: readonly [number, number]; reasons: string[]; }
+/** Litres per kg of rider weight, before adjustments. */
+const GUILD_FACTORS: Record<Ability, readonly [number, number]> = { beginner: [0.45,0.55], intermediate: [0.38,0.47], advanced: [0.3,0.4] };
+/**
+ * Additive shifts to the guild factor. The defaults (average fitness, under 30, weekly,
+ * point breaks) are all zero, so an unrefined query lands on the plain ability band.
+ */
+const VOLUME_ADJUSTMENTS = {
+  fitness: { low: [0.03, "Lower paddle fitness — extra float"], average: [0, ""], high: [-0.02, "High paddle fitness — can ride less foam"] },
+  ageBand: { under_30: [0, ""], "30_44": [0.01, "30–44 — a touch more volume"], "45_59": [0.03, "45–59 — more volume for paddling and wave count"], "60_plus": [0.05, "60+ — generous volume for paddling"] },
+  wave: { small_beach: [0.03, "Small beachies — groveler volume to keep speed"], mellow_point: [0, ""], punchy_reef: [-0.02, "Punchy reefs — less volume to sink the rail"], overhead: [-0.04, "Overhead — step-up territory, trim volume for control"] },
+  frequency: { occasional: [0.03, "Surfs occasionally — extra float while out of surf shape"], monthly: [0.015, "Surfs monthly — a little extra float"], weekly: [0, ""], daily: [-0.01, "Surfs daily — sharp enough for less volume"] },
+} as const satisfies Record<string, Record<string, readonly [number, string]>>;
+export const FITNESS_OPTIONS = [{ value: "low", label: "Low" }, { value: "average", label: "Average" }, { value: "high", label: "High" }] as const;
+export const AGE_BANDS = [{ value: "under_30", label: "Under 30" }, { value: "30_44", label: "30–44" }, { value: "45_59", label: "45–59" }, { value: "60_plus", label: "60+" }] as const;
+export const SURF_FREQUENCIES = [{ value: "occasional", label: "A few times a year" }, { value: "monthly", label: "Monthly" }, { value: "weekly", label: "Weekly" }, { value: "daily", label: "Daily" }] as const;
+export function computeVolume(input: VolumeInput): VolumeResult {
+  const { weightKg, ability, fitness = "average", ageBand = "under_30", wave = "mellow_point", frequency = "weekly" } = input;
+  const [lo, hi] = GUILD_FACTORS[ability];
+  const reasons = [`${ABILITIES.find(a=>a.value===ability)?.label}: ${lo}–${hi} L/kg`];
+  let shift = 0;
+  for(const [d, v] of [[VOLUME_ADJUSTMENTS.fitness, fitness], [VOLUME_ADJUSTMENTS.ageBand, ageBand], [VOLUME_ADJUSTMENTS.wave, wave], [VOLUME_ADJUSTMENTS.frequency, frequency]] as [Record<string, readonly [number, string]>, string][]){
+    const [delta, why] = d[v] || [0, ""];
+    if(delta){ shift += delta; reasons.push(`${why} (${delta>0?"+":""}${delta} L/kg)`); }
+  }
+  // keep the band sane even when every adjustment stacks the same way
+  const gf = [Math.max(0.25, lo+shift), Math.max(0.3, hi+shift)] as const;
+  const range = [round1(weightKg*gf[0]), round1(weightKg*gf[1])] as const;
+  return { range, target: round1((range[0]+range[1])/2), guildFactor: [Math.round(gf[0]*1000)/1000, Math.round(gf[1]*1000)/1000], reasons };
+}
+
+// ————— Scoring engine —————
+/** `volumeRange` overrides the plain ability band (e.g. with a refined computeVolume result). */
+export interface ScoreQuery { weight: number; wave: WaveType; ability: Ability; units?: Units; volumeRange?: readonly [number, number]; tail?: string; fins?: string; construction?: string; }
+/** Points per factor; volume is "points lost per litre off target", capped at `volumeCapL` litres. */
+export type WeightProfile = Record<string, number>;
+export const DEFAULT_WEIGHTS: WeightProfile = { base: 100, volumePerL: 1.5, volumeCapL: 40, wave: 10, ability: 8, weightFit: 6, tail: 4, fins: 4, construction: 3 };
+export interface FactorResult { key: string; label: string; points: number; detail: string; }
+/** A factor returns null when it has nothing to say (e.g. no tail preference) so it stays out of the breakdown. */
+export interface ScoreFactor { key: string; label: string; compute(b: Board, q: ScoreQuery, w: WeightProfile): { points: number; detail: string } | null; }
+export interface ScoreBreakdown { total: number; base: number; factors: FactorResult[]; }
+const CORE_FACTORS: ScoreFactor[] = [
+  { key: "volume", label: "Volume fit", compute(b,q,w){
+    const [minV,maxV] = q.volumeRange || heuristicVolume(q.weight, q.ability); const target = (minV+maxV)/2;
+    const diff = Math.abs(b.volume - target);
+    return { points: -Math.min(diff, w.volumeCapL)*w.volumePerL, detail: `${b.volume} L vs ${round1(target)} L target` };
+  } },
+  { key: "wave", label: "Wave type", compute(b,q,w){
+    const hit = b.waveTypes.includes(q.wave);
+    return { points: hit? w.wave : 0, detail: hit? "Suits your waves" : "Not listed for your waves" };
+  } },
+  { key: "ability", label: "Ability", compute(b,q,w){
+    const hit = b.abilities.includes(q.ability);
+    return { points: hit? w.ability : 0, detail: hit? "Built for your level" : "Not listed for your level" };
+  } },
+  { key: "weightFit", label: "Rider weight", compute(b,q,w){
+    const [wMin,wMax] = b.recommendedWeight; const hit = q.weight>=wMin && q.weight<=wMax;
+    const range = q.units==="imperial" ? `${Math.round(kgToLb(wMin))}–${Math.round(kgToLb(wMax))} lb` : `${wMin}–${wMax} kg`;
+    return { points: hit? w.weightFit : -w.weightFit, detail: `${range} recommended` };
+  } },
+];
+/** Optional preference factors — only score when the query carries that preference. */
+const matchPref = (key: "tail"|"fins"|"construction", label: string): ScoreFactor => ({ key, label, compute(b,q,w){
+  const want = q[key]; if(!want) return null;
+  const hit = b[key].toLowerCase().includes(want.toLowerCase());
+  return { points: hit? w[key] ?? 0 : 0, detail: hit? `Matches ${want}` : `${b[key] || "Unknown"} (wanted ${want})` };
+} });
+export const PREFERENCE_FACTORS: ScoreFactor[] = [matchPref("tail","Tail"), matchPref("fins","Fin setup"), matchPref("construction","Construction")];
+
+export function createScoringEngine(weights: WeightProfile = DEFAULT_WEIGHTS, factors: ScoreFactor[] = [...CORE_FACTORS, ...PREFERENCE_FACTORS]){
+  const registry = [...factors];
+  return {
+    weights,
+    factors: registry as readonly ScoreFactor[],
+    register(f: ScoreFactor){ const i = registry.findIndex(x=> x.key===f.key); if(i>=0) registry[i] = f; else registry.push(f); },
+    score(b: Board, q: ScoreQuery): ScoreBreakdown {
+      const out: FactorResult[] = [];
+      for(const f of registry){ const r = f.compute(b, q, weights); if(r) out.push({ key: f.key, label: f.label, ...r }); }
+      const base = weights.base ?? 100;
+      return { base, factors: out, total: out.reduce((s,f)=> s+f.points, base) };
+    },
+  };
+}
+export type ScoringEngine = ReturnType<typeof createScoringEngine>;
+const defaultEngine = createScoringEngine();
+function scoreBoard(b: Board, weight: number, wave: WaveType, ability: Ability, volumeRange?: readonly [number, number]){
+  return defaultEngine.score(b, { weight, wave, ability, volumeRange }).total;
 }
 function normalizeGithubRaw(url:string){
   return /github\.com\/.+\/blob\//.test(url)
     ? url.replace("https://github.com/","https://raw.githubusercontent.com/").replace("/blob/","/")
     : url;
 }
-function safeParseCSVRow(line: string, expected: number): string[] | null {
-  const out: string[] = []; let cur = ""; let inQ=false;
-  for (let i=0;i<line.length;i++){ const ch=line[i]; if(ch==='"'){ inQ=!inQ; continue; } if(ch===',' && !inQ){ out.push(cur); cur=""; continue; } cur+=ch; }
-  out.push(cur); return out.length>=expected? out : null;
-}
-function parseAirtableCSV(csv: string): Board[] {
-  const rows = csv.split(/\r?\n/).filter(Boolean); if(!rows.length) return [];
-  const headers = rows[0].split(",").map(h=>h.trim()); const idx=(k:string)=>headers.indexOf(k);
-  const out: Board[] = [];
-  for(let i=1;i<rows.length;i++){
-    const cols = safeParseCSVRow(rows[i], headers.length); if(!cols) continue;
-    const wave = (cols[idx("waveTypes")]||"").replaceAll(" ","");
-    const abil = (cols[idx("abilities")]||"").replaceAll(" ","");
-    const sponsoredRaw = (cols[idx("sponsored")]||"").toLowerCase();
-    out.push({
-      id: cols[idx("id")] || `${(cols[idx("shaper")]||"")}-${(cols[idx("model")]||i)}`.toLowerCase().replace(/\s+/g,"-"),
-      shaper: cols[idx("shaper")]||"",
-      model: cols[idx("model")]||"",
-      waveTypes: wave? (wave.includes("|")? wave.split("|") : wave.split(",")) as WaveType[] : [],
-      abilities: abil? (abil.includes("|")? abil.split("|") : abil.split(",")) as Ability[] : [],
-      recommendedWeight: [Number(cols[idx("recommendedWeightMin")]||0), Number(cols[idx("recommendedWeightMax")]||0)],
-      length: cols[idx("length")]||"",
-      volume: Number(cols[idx("volume")]||0),
-      tail: cols[idx("tail")]||"",
-      fins: cols[idx("fins")]||"",
-      construction: cols[idx("construction")]||"",
-      img: cols[idx("img")]||"",
-      sponsored: ["1","true","yes","y"].includes(sponsoredRaw),
+
+// ————— CSV (RFC 4180) —————
+export interface CSVRecord { line: number; fields: string[]; }
+export interface CSVError { line: number; message: string; }
+/**
+ * Incremental RFC 4180 reader: quoted commas, embedded newlines, "" escapes, BOM,
+ * CRLF/LF/CR. Feed it one string or any iterable of chunks; state carries across
+ * chunk boundaries. `line` is the physical line the record starts on.
+ */
+export function* readCSVRecords(input: string | Iterable<string>, errors: CSVError[] = []): Generator<CSVRecord> {
+  const chunks = typeof input==="string" ? [input] : input;
+  // 0 = field start, 1 = unquoted, 2 = quoted, 3 = quote seen inside quoted (escape or close)
+  let state = 0; let closed = false; let pendingCR = false; let first = true;
+  let fields: string[] = []; let cur = ""; let dirty = false; let line = 1; let start = 1;
+  const endField = ()=>{ fields.push(cur); cur = ""; closed = false; state = 0; };
+  function* endRecord(): Generator<CSVRecord> {
+    endField();
+    if(dirty) yield { line: start, fields };
+    fields = []; dirty = false; start = line;
+  }
+  for(const chunk of chunks){
+    for(let ch of chunk){
+      if(first){ first = false; if(ch==="\uFEFF") continue; }
+      if(pendingCR){ pendingCR = false; if(ch==="\n") continue; }
+      if(state===2){
+        if(ch==='"'){ state = 3; continue; }
+        if(ch==="\r" || ch==="\n"){ line++; if(ch==="\r"){ pendingCR = true; ch = "\n"; } }
+        cur += ch; continue;
+      }
+      if(state===3){
+        if(ch==='"'){ cur += '"'; state = 2; continue; }
+        state = 1; closed = true;
+      }
+      if(ch===","){ endField(); dirty = true; continue; }
+      if(ch==="\r" || ch==="\n"){ if(ch==="\r") pendingCR = true; line++; yield* endRecord(); continue; }
+      if(closed){ errors.push({ line, message: "Text after closing quote" }); closed = false; }
+      if(ch==='"'){
+        if(state===0){ state = 2; dirty = true; continue; }
+        errors.push({ line, message: "Stray quote inside unquoted field" });
+      }
+      cur += ch; state = 1; dirty = true;
+    }
+  }
+  if(state===2) errors.push({ line: start, message: "Unterminated quoted field" });
+  yield* endRecord();
+}
+/** Header row + records, with column-count mismatches reported by line instead of silently skipped. */
+export function parseCSVTable(csv: string | Iterable<string>){
+  const errors: CSVError[] = [];
+  const records = Array.from(readCSVRecords(csv, errors));
+  const headers = (records.shift()?.fields || []).map(h=>h.trim());
+  const rows: CSVRecord[] = [];
+  for(const r of records){
+    if(r.fields.length!==headers.length){ errors.push({ line: r.line, message: `Expected ${headers.length} columns, got ${r.fields.length}` }); continue; }
+    rows.push(r);
+  }
+  errors.sort((a,b)=> a.line-b.line);
+  return { headers, rows, errors, idx: (k:string)=> headers.indexOf(k) };
+}
+
+/** Quotes a field only when it has to (comma, quote, CR/LF, edge whitespace), doubling inner quotes. */
+export function csvField(v: unknown): string {
+  const t = v==null ? "" : String(v);
+  return /[",\r\n]|^\s|\s$/.test(t) ? `"${t.replace(/"/g,'""')}"` : t;
+}
+export function toCSV(rows: unknown[][], eol = "\n"): string { return rows.map(r=> r.map(csvField).join(",")).join(eol) + eol; }
+
+// ————— Vocabulary normalization —————
+/**
+ * Source data uses its own words ("Beach, Point", "Intermediate", 5'10, nan, False).
+ * Aliases map lowercased, underscore-joined tokens onto the canonical enums; anything
+ * that doesn't map is counted in `unmapped` (with the first source line in `unmappedAt`,
+ * set via `at`) so data editors can fix the source.
+ */
+export interface VocabAliases { waveTypes: Record<string, WaveType[]>; abilities: Record<string, Ability[]>; }
+export const DEFAULT_ALIASES: VocabAliases = {
+  waveTypes: {
+    small_beach: ["small_beach"], beach: ["small_beach"], beachie: ["small_beach"], beach_break: ["small_beach"], small: ["small_beach"],
+    mellow_point: ["mellow_point"], point: ["mellow_point"], point_break: ["mellow_point"],
+    punchy_reef: ["punchy_reef"], reef: ["punchy_reef"], reef_break: ["punchy_reef"],
+    overhead: ["overhead"], hollow: ["overhead"], big: ["overhead"], step_up: ["overhead"],
+    all: ["small_beach","mellow_point","punchy_reef","overhead"],
+  },
+  abilities: {
+    beginner: ["beginner"], novice: ["beginner"], learner: ["beginner"],
+    intermediate: ["intermediate"],
+    advanced: ["advanced"], expert: ["advanced"], pro: ["advanced"],
+    all: ["beginner","intermediate","advanced"],
+  },
+};
+const MISSING_SENTINELS = ["", "nan", "null", "none", "n/a", "na", "undefined", "-"];
+const vocabKey = (s:string)=> s.trim().toLowerCase().replace(/[\s\-/]+/g,"_");
+export function isMissing(v: unknown){ return v==null || (typeof v==="number" && Number.isNaN(v)) || (typeof v==="string" && MISSING_SENTINELS.includes(v.trim().toLowerCase())); }
+/** Parses 5'10, 6'0", 5’10”, 6ft 2in, 70in or 178cm into total inches. */
+export function parseLengthInches(v: unknown): number | undefined {
+  if(isMissing(v)) return undefined;
+  if(typeof v==="number") return v;
+  const s = String(v).trim().toLowerCase().replace(/[’′‘`]/g,"'").replace(/[”″“]|''/g,'"');
+  let m = s.match(/^(\d+)\s*(?:'|ft|feet)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|in|inch|inches)?)?$/);
+  if(m) return Number(m[1])*12 + Number(m[2]||0);
+  m = s.match(/^(\d+(?:\.\d+)?)\s*(?:"|in|inch|inches)$/); if(m) return Number(m[1]);
+  m = s.match(/^(\d+(?:\.\d+)?)\s*cm$/); if(m) return round1(Number(m[1])/2.54);
+  return undefined;
+}
+export function formatFeetInches(inches: number){ const ft=Math.floor(inches/12); return `${ft}'${round1(inches-ft*12)}"`; }
+export function createNormalizer(aliases: VocabAliases = DEFAULT_ALIASES){
+  const unmapped: Record<string, number> = {}; const unmappedAt: Record<string, number> = {}; let line: number | undefined;
+  const miss = (field:string, token:string)=>{ const k=`${field}:${token}`; unmapped[k]=(unmapped[k]||0)+1; if(line!==undefined && !(k in unmappedAt)) unmappedAt[k] = line; };
+  function tokens(v: unknown): string[] {
+    if(isMissing(v)) return [];
+    return (Array.isArray(v)? v.map(String) : String(v).split(/[|,;]/)).map(x=>x.trim()).filter(x=> !isMissing(x));
+  }
+  function mapList<T extends string>(field: keyof VocabAliases, v: unknown): T[] {
+    const table = aliases[field] as Record<string, T[]>; const out = new Set<T>();
+    for(const t of tokens(v)){ const hit=table[vocabKey(t)]; if(hit) hit.forEach(x=>out.add(x)); else miss(field, t); }
+    return Array.from(out);
+  }
+  return {
+    unmapped, unmappedAt,
+    /** Source line the following values come from. */
+    at: (n: number)=>{ line = n; },
+    waveTypes: (v: unknown)=> mapList<WaveType>("waveTypes", v),
+    abilities: (v: unknown)=> mapList<Ability>("abilities", v),
+    text: (v: unknown)=> isMissing(v)? "" : String(v).trim(),
+    num: (v: unknown)=> { if(isMissing(v)) return undefined; const n=Number(v); return Number.isFinite(n)? n : undefined; },
+    bool: (v: unknown)=> typeof v==="boolean"? v : ["1","true","yes","y"].includes(String(v??"").trim().toLowerCase()),
+    lengthIn: (v: unknown)=> { const n=parseLengthInches(v); if(n===undefined && !isMissing(v)) miss("length", String(v)); return n; },
+  };
+}
+export type Normalizer = ReturnType<typeof createNormalizer>;
+/** Builds a canonical Board from any record-shaped source (CSV row, JSON object). */
+function boardFromRecord(get: (k:string)=>unknown, norm: Normalizer, fallbackId: string | number, extra: Partial<Board> = {}): Board {
+  const shaper = extra.shaper ?? norm.text(get("shaper"));
+  const model = norm.text(get("model"));
+  const rw = get("recommendedWeight");
+  return {
+    id: norm.text(get("id")) || `${shaper}-${model||fallbackId}`.toLowerCase().replace(/\s+/g,"-"),
+    shaper,
+    model,
+    waveTypes: norm.waveTypes(get("waveTypes")),
+    abilities: norm.abilities(get("abilities")),
+    recommendedWeight: Array.isArray(rw)
+      ? [norm.num(rw[0]) ?? 0, norm.num(rw[1]) ?? 0]
+      : [norm.num(get("recommendedWeightMin")) ?? 0, norm.num(get("recommendedWeightMax")) ?? 0],
+    length: norm.text(get("length")),
+    lengthIn: norm.lengthIn(get("length")),
+    volume: norm.num(get("volume")) ?? 0,
+    tail: norm.text(get("tail")),
+    fins: norm.text(get("fins")),
+    construction: norm.text(get("construction")),
+    img: norm.text(get("img")),
+    sponsored: norm.bool(get("sponsored")),
+    ...extra,
+  };
+}
+function normalizeJsonBoards(data: unknown, norm: Normalizer = createNormalizer()): Board[] {
+  if(!Array.isArray(data)) throw new Error("Catalog JSON is not an array");
+  return data.map((r,i)=>{ norm.at(i+1); return boardFromRecord(k=> r?.[k], norm, i+1); });
+}
+
+function parseAirtableCSV(csv: string, norm: Normalizer = createNormalizer(), errors: CatalogRowError[] = []): Board[] {
+  const { rows, idx, errors: csvErrors } = parseCSVTable(csv);
+  csvErrors.forEach(e=> errors.push({ file: "airtable", row: e.line, message: e.message }));
+  return rows.map(r=>{ norm.at(r.line); return boardFromRecord(k=> r.fields[idx(k)], norm, r.line, { sourceLine: r.line }); });
+}
+
+// ————— Relational catalog (models.csv ⋈ shapers.csv) —————
+/** `row` is the 1-based line in the source file. */
+export interface CatalogRowError { file: "models" | "shapers" | "airtable"; row: number; message: string; }
+function parseShapersCSV(csv: string, errors: CatalogRowError[] = []): Shaper[] {
+  const { rows, idx, errors: csvErrors } = parseCSVTable(csv);
+  csvErrors.forEach(e=> errors.push({ file: "shapers", row: e.line, message: e.message }));
+  const out: Shaper[] = [];
+  rows.forEach(({ line, fields: cols })=>{
+    const id = (cols[idx("id")]||"").trim();
+    if(!id){ errors.push({ file: "shapers", row: line, message: "Missing id" }); return; }
+    out.push({ id, name: cols[idx("name")]||"", country: cols[idx("country")]||"", website: cols[idx("website")]||"" });
+  });
+  return out;
+}
+/** Joins models to shapers by `shaper_id`; rows that can't be resolved come back in `errors`, not as boards. */
+export function parseCatalogCSV(modelsCsv: string, shapersCsv: string, norm: Normalizer = createNormalizer()): { boards: Board[]; shapers: Shaper[]; errors: CatalogRowError[]; unmapped: Record<string, number> } {
+  const errors: CatalogRowError[] = [];
+  const shapers = parseShapersCSV(shapersCsv, errors);
+  const byId = new Map(shapers.map(s=> [s.id, s] as const));
+  const { rows, idx, errors: csvErrors } = parseCSVTable(modelsCsv);
+  csvErrors.forEach(e=> errors.push({ file: "models", row: e.line, message: e.message }));
+  const boards: Board[] = [];
+  rows.forEach(({ line: row, fields: cols })=>{
+    const shaperId = (cols[idx("shaper_id")]||"").trim();
+    const shaper = byId.get(shaperId);
+    if(!shaper){ errors.push({ file: "models", row, message: shaperId? `Unknown shaper_id "${shaperId}"` : "Missing shaper_id" }); return; }
+    norm.at(row);
+    boards.push(boardFromRecord(k=> cols[idx(k)], norm, row, {
+      sourceLine: row,
+      shaper: shaper.name,
+      shaperId,
+      shaperCountry: shaper.country,
+      shaperWebsite: shaper.website,
+    }));
+  });
+  return { boards, shapers, errors, unmapped: norm.unmapped };
+}
+// ————— Schema validation —————
+/** `row` is the board's source line when known (CSV), otherwise its 1-based position in the list. */
+export interface ValidationIssue { row: number; id?: string; field: string; message: string; severity: "error" | "warning"; }
+type FieldRule =
+  | { kind: "string"; required?: boolean }
+  | { kind: "number"; required?: boolean; min?: number; max?: number; severity?: "error" | "warning" }
+  | { kind: "enumList"; values: readonly string[]; required?: boolean };
+/** Declared shape of an incoming Board. Ranges are deliberately generous — they catch typos, not opinions. */
+export const BOARD_SCHEMA: Partial<Record<keyof Board, FieldRule>> = {
+  id: { kind: "string", required: true },
+  shaper: { kind: "string", required: true },
+  model: { kind: "string", required: true },
+  waveTypes: { kind: "enumList", values: WAVE_TYPES.map(w=>w.value), required: true },
+  abilities: { kind: "enumList", values: ABILITIES.map(a=>a.value), required: true },
+  volume: { kind: "number", required: true, min: 10, max: 120 },
+  lengthIn: { kind: "number", min: 48, max: 144, severity: "warning" },
+  tail: { kind: "string" },
+  fins: { kind: "string" },
+  construction: { kind: "string" },
+};
+const WEIGHT_RANGE = [20, 200] as const;
+/**
+ * Checks every board against BOARD_SCHEMA plus the cross-field rules (unique ids,
+ * recommendedWeight[0] <= [1]). In "exclude" mode boards with errors are dropped;
+ * in "flag" mode they're kept and only reported. Warnings never exclude.
+ */
+export function validateBoards(boards: Board[], mode: "exclude" | "flag" = "exclude"): { boards: Board[]; issues: ValidationIssue[] } {
+  const issues: ValidationIssue[] = [];
+  const seen = new Set<string>();
+  const kept: Board[] = [];
+  boards.forEach((b,i)=>{
+    const row = b?.sourceLine ?? i+1; let bad = false;
+    const report = (field:string, message:string, severity: "error"|"warning" = "error")=>{ issues.push({ row, id: b?.id, field, message, severity }); if(severity==="error") bad = true; };
+    for(const [field, rule] of Object.entries(BOARD_SCHEMA) as [string, FieldRule][]){
+      const v = (b as any)?.[field];
+      const empty = v==null || v==="" || (Array.isArray(v) && !v.length);
+      if(empty){ if(rule.required) report(field, "Required"); continue; }
+      if(rule.kind==="string" && typeof v!=="string") report(field, "Expected text");
+      if(rule.kind==="number"){
+        const sev = rule.severity || "error";
+        if(typeof v!=="number" || !Number.isFinite(v)) report(field, "Expected a number", sev);
+        else if((rule.min!=null && v<rule.min) || (rule.max!=null && v>rule.max)) report(field, `${v} is outside ${rule.min ?? "-∞"}–${rule.max ?? "∞"}`, sev);
+      }
+      if(rule.kind==="enumList"){
+        if(!Array.isArray(v)) report(field, "Expected a list");
+        else { const unknown = v.filter(x=> !rule.values.includes(x)); if(unknown.length) report(field, `Unknown value${unknown.length>1?"s":""}: ${unknown.join(", ")}`); }
+      }
+    }
+    const rw = b?.recommendedWeight;
+    if(!Array.isArray(rw) || rw.length!==2 || !rw.every(n=> typeof n==="number" && Number.isFinite(n))) report("recommendedWeight", "Expected [min, max] in kg");
+    else {
+      if(rw.some(n=> n<WEIGHT_RANGE[0] || n>WEIGHT_RANGE[1])) report("recommendedWeight", `Outside ${WEIGHT_RANGE[0]}–${WEIGHT_RANGE[1]} kg`);
+      if(rw[0]>rw[1]) report("recommendedWeight", `Min ${rw[0]} is greater than max ${rw[1]}`);
+    }
+    if(b?.id){ if(seen.has(b.id)) report("id", `Duplicate id "${b.id}"`); seen.add(b.id); }
+    if(!bad || mode==="flag") kept.push(b);
+  });
+  return { boards: kept, issues };
+}
+const catalogErrorToIssue = (e: CatalogRowError): ValidationIssue => ({ row: e.row, field: `${e.file}.csv`, message: e.message, severity: "error" });
+/** One warning per value the vocabulary doesn't know, at the first line it appears on. */
+export function unmappedIssues(norm: Pick<Normalizer, "unmapped" | "unmappedAt">): ValidationIssue[] {
+  return Object.entries(norm.unmapped).map(([key, n])=>{
+    const [field, token] = key.split(/:(.*)/);
+    return { row: norm.unmappedAt[key] ?? 0, field, message: `Unknown value "${token}"${n>1 ? ` (${n} rows)` : ""}`, severity: "warning" as const };
+  }).sort((a,b)=> a.row-b.row);
+}
+
+// ————— Data sources —————
+export interface SourceContext { fetch: typeof fetch; etags: Record<string, string>; }
+export interface SourcePayload { boards: Board[]; shapers?: Shaper[]; issues: ValidationIssue[]; etags: Record<string, string>; }
+/** `load` resolves to null when every file answered 304 against `ctx.etags`. */
+export interface DataSource { name: string; load(ctx: SourceContext): Promise<SourcePayload | null>; }
+/**
+ * Fetches every url, sending If-None-Match where we hold an ETag. All-304 means "not modified";
+ * a partial 304 refetches those files unconditionally so the caller always gets whole bodies.
+ */
+async function fetchBodies(ctx: SourceContext, urls: string[], label: string): Promise<{ bodies: Response[]; etags: Record<string, string> } | null> {
+  const get = (url:string, conditional:boolean)=> ctx.fetch(normalizeGithubRaw(url), { cache: "no-store", headers: conditional && ctx.etags[url] ? { "If-None-Match": ctx.etags[url] } : undefined });
+  let res = await Promise.all(urls.map(u=> get(u, true)));
+  if(res.every(r=> r.status===304)) return null;
+  res = await Promise.all(res.map((r,i)=> r.status===304 ? get(urls[i], false) : r));
+  const bad = res.find(r=> !r.ok); if(bad) throw new Error(`${label} ${bad.status}`);
+  const etags: Record<string, string> = {};
+  res.forEach((r,i)=>{ const e=r.headers.get("ETag"); if(e) etags[urls[i]] = e; });
+  return { bodies: res, etags };
+}
+export function createSource(cfg: SourceConfig): DataSource {
+  switch(cfg.type){
+    case "github": case "snapshot": return { name: cfg.name || cfg.type, async load(ctx){
+      const got = await fetchBodies(ctx, [cfg.url], cfg.type==="github"? "GitHub" : "Snapshot"); if(!got) return null;
+      const norm = createNormalizer(); const boards = normalizeJsonBoards(await got.bodies[0].json(), norm);
+      return { boards, issues: unmappedIssues(norm), etags: got.etags };
+    } };
+    case "airtable": return { name: cfg.name || cfg.type, async load(ctx){
+      const got = await fetchBodies(ctx, [cfg.url], "Airtable"); if(!got) return null;
+      const errs: CatalogRowError[] = []; const norm = createNormalizer(); const boards = parseAirtableCSV(await got.bodies[0].text(), norm, errs);
+      return { boards, issues: [...errs.map(catalogErrorToIssue), ...unmappedIssues(norm)], etags: got.etags };
+    } };
+    case "csv": return { name: cfg.name || cfg.type, async load(ctx){
+      const got = await fetchBodies(ctx, [cfg.modelsUrl, cfg.shapersUrl], "Catalog"); if(!got) return null;
+      const [models, shapers] = await Promise.all(got.bodies.map(r=> r.text()));
+      const norm = createNormalizer(); const res = parseCatalogCSV(models, shapers, norm);
+      res.errors.sort((a,b)=> a.file.localeCompare(b.file) || a.row-b.row);
+      return { boards: res.boards, shapers: res.shapers, issues: [...res.errors.map(catalogErrorToIssue), ...unmappedIssues(norm)], etags: got.etags };
+    } };
+  }
+}
+
+// ————— Catalog cache + loader —————
+const CATALOG_CACHE_KEY = "surfboard-finder:catalog";
+/** Bump when the cached shape or what it records changes; older entries are ignored. */
+const CATALOG_CACHE_VERSION = 3;
+interface CachedCatalog { version: number; source: string; fetchedAt: string; etags: Record<string, string>; boards: Board[]; shapers?: Shaper[]; issues: ValidationIssue[]; }
+export interface LoadedCatalog { boards: Board[]; shapers?: Shaper[]; issues: ValidationIssue[]; source: string; fetchedAt: string; origin: "network" | "cache" | "fallback"; errors: string[]; }
+type CatalogStorage = Pick<Storage, "getItem" | "setItem">;
+function readCache(storage?: CatalogStorage): CachedCatalog | null {
+  try{ const c = JSON.parse(storage?.getItem(CATALOG_CACHE_KEY) || "null"); return c?.version===CATALOG_CACHE_VERSION ? c : null; }catch{ return null; }
+}
+function writeCache(storage: CatalogStorage | undefined, c: CachedCatalog){
+  try{ storage?.setItem(CATALOG_CACHE_KEY, JSON.stringify(c)); }catch(e:any){ console.warn("Catalog cache not written:", e?.message); }
+}
+/**
+ * Tries each source in priority order. A 304 from the cached source reuses the cache;
+ * when every source fails we serve the cache (origin "cache") before dropping to FALLBACK_BOARDS.
+ */
+export async function loadCatalog(sources: DataSource[], opts: { fetch?: typeof fetch; storage?: CatalogStorage; now?: ()=>Date } = {}): Promise<LoadedCatalog> {
+  const doFetch = opts.fetch || ((...a: Parameters<typeof fetch>)=> fetch(...a));
+  const storage = opts.storage ?? (typeof localStorage!=="undefined" ? localStorage : undefined);
+  const now = opts.now || (()=> new Date());
+  const cached = readCache(storage);
+  const errors: string[] = [];
+  for(const src of sources){
+    try{
+      const payload = await src.load({ fetch: doFetch, etags: cached?.source===src.name ? cached.etags : {} });
+      if(!payload){
+        if(cached) return { ...cached, origin: "network", errors };
+        continue;
+      }
+      const report = validateBoards(payload.boards);
+      const entry: CachedCatalog = { version: CATALOG_CACHE_VERSION, source: src.name, fetchedAt: now().toISOString(), etags: payload.etags, boards: report.boards, shapers: payload.shapers, issues: [...payload.issues, ...report.issues] };
+      writeCache(storage, entry);
+      return { ...entry, origin: "network", errors };
+    }catch(e:any){
+      errors.push(`${src.name}: ${e?.message || e}`);
+    }
+  }
+  if(cached) return { ...cached, origin: "cache", errors };
+  return { boards: FALLBACK_BOARDS, issues: [], source: "fallback", fetchedAt: now().toISOString(), origin: "fallback", errors };
+}
+
+// ————— Units & rider profiles —————
+export type Units = "metric" | "imperial";
+const LB_PER_KG = 2.20462;
+export const kgToLb = (kg:number)=> round1(kg*LB_PER_KG);
+export const lbToKg = (lb:number)=> Math.round(lb/LB_PER_KG*100)/100;
+/** Board length for display: feet/inches for imperial, cm for metric; raw text when unparsed. */
+export function formatLength(b: Pick<Board, "length" | "lengthIn">, units: Units){
+  if(b.lengthIn==null) return b.length;
+  return units==="imperial" ? formatFeetInches(b.lengthIn) : `${Math.round(b.lengthIn*2.54)} cm`;
+}
+export interface RiderProfile { id: string; name: string; weightKg: number; ability: Ability; waves: WaveType[]; fitness?: Fitness; ageBand?: AgeBand; frequency?: SurfFrequency; }
+const UNITS_KEY = "surfboard-finder:units";
+const PROFILES_KEY = "surfboard-finder:profiles";
+function readStored<T>(key: string, fallback: T): T {
+  try{ const v = typeof localStorage!=="undefined" ? localStorage.getItem(key) : null; return v? JSON.parse(v) : fallback; }catch{ return fallback; }
+}
+function writeStored(key: string, value: unknown){
+  try{ localStorage.setItem(key, JSON.stringify(value)); }catch(e:any){ console.warn(`${key} not saved:`, e?.message); }
+}
+/** Stored profiles are user-editable JSON, so anything that doesn't look like a profile is dropped. */
+function readProfiles(): RiderProfile[] {
+  const raw = readStored<unknown>(PROFILES_KEY, []);
+  if(!Array.isArray(raw)) return [];
+  return raw.filter((p:any)=> p && typeof p.id==="string" && typeof p.name==="string" && Number.isFinite(p.weightKg) && ABILITIES.some(a=> a.value===p.ability))
+    .map((p:any)=> ({ ...p, waves: Array.isArray(p.waves) ? p.waves.filter((w:any)=> WAVE_TYPES.some(x=> x.value===w)) : [] }));
+}
+
+// ————— Facets —————
+export interface FacetState { waves: WaveType[]; tails: string[]; fins: string[]; constructions: string[]; volume: [number, number] | null; lengthIn: [number, number] | null; }
+export type FacetKey = "ability" | "waves" | "tails" | "fins" | "constructions" | "volume" | "lengthIn" | "shapers";
+/**
+ * `volumeWindow` applies whenever the user hasn't dragged the volume slider (facets.volume is null);
+ * a null `ability` shows boards built for any level.
+ */
+export interface FilterInput { facets: FacetState; ability: Ability | null; volumeWindow: readonly [number, number]; shapers: string[]; }
+export const EMPTY_FACETS: FacetState = { waves: [], tails: [], fins: [], constructions: [], volume: null, lengthIn: null };
+const within = (v: number | undefined, r: readonly [number, number])=> v!=null && v>=r[0] && v<=r[1];
+const FACET_PREDICATES: Record<FacetKey, (b: Board, f: FilterInput)=>boolean> = {
+  ability: (b,f)=> !f.ability || b.abilities.includes(f.ability),
+  waves: (b,f)=> !f.facets.waves.length || b.waveTypes.some(w=> f.facets.waves.includes(w)),
+  tails: (b,f)=> !f.facets.tails.length || f.facets.tails.includes(b.tail),
+  fins: (b,f)=> !f.facets.fins.length || f.facets.fins.includes(b.fins),
+  constructions: (b,f)=> !f.facets.constructions.length || f.facets.constructions.includes(b.construction),
+  volume: (b,f)=> within(b.volume, f.facets.volume || f.volumeWindow),
+  lengthIn: (b,f)=> !f.facets.lengthIn || within(b.lengthIn, f.facets.lengthIn),
+  shapers: (b,f)=> !f.shapers.length || f.shapers.includes(b.shaper),
+};
+export function filterBoards<T extends Board>(list: T[], f: FilterInput, skip?: FacetKey): T[] {
+  const preds = (Object.entries(FACET_PREDICATES) as [FacetKey, (b: Board, f: FilterInput)=>boolean][]).filter(([k])=> k!==skip);
+  return list.filter(b=> preds.every(([,p])=> p(b, f)));
+}
+type ListFacet = "waves" | "tails" | "fins" | "constructions";
+const FACET_FIELDS: Record<ListFacet, (b: Board)=>string[]> = { waves: b=> b.waveTypes, tails: b=> [b.tail], fins: b=> [b.fins], constructions: b=> [b.construction] };
+/**
+ * Disjunctive counts: each option's count applies every *other* filter, so it reads as
+ * "boards you'd see if you ticked this too".
+ */
+export function facetCounts(list: Board[], f: FilterInput): Record<ListFacet, Record<string, number>> {
+  const out = {} as Record<ListFacet, Record<string, number>>;
+  for(const key of Object.keys(FACET_FIELDS) as ListFacet[]){
+    const counts: Record<string, number> = {};
+    for(const b of filterBoards(list, f, key)) for(const v of FACET_FIELDS[key](b)) if(v) counts[v] = (counts[v]||0)+1;
+    out[key] = counts;
+  }
+  return out;
+}
+export function facetOptions(list: Board[]){
+  const distinct = (get: (b: Board)=>string)=> Array.from(new Set(list.map(get).filter(Boolean))).sort();
+  const vols = list.map(b=> b.volume); const lens = list.map(b=> b.lengthIn).filter((n): n is number => n!=null);
+  return {
+    tails: distinct(b=> b.tail), fins: distinct(b=> b.fins), constructions: distinct(b=> b.construction),
+    volume: [Math.floor(Math.min(...vols, 20)), Math.ceil(Math.max(...vols, 40))] as [number, number],
+    lengthIn: [Math.floor(Math.min(...lens, 60)), Math.ceil(Math.max(...lens, 78))] as [number, number],
+  };
+}
+export interface RelaxSuggestion { key: FacetKey; label: string; count: number; }
+const RELAX_LABELS: Record<FacetKey, string> = {
+  ability: "Boards for any level",
+  waves: "Any wave type", tails: "Any tail", fins: "Any fin setup", constructions: "Any construction",
+  volume: "Widen volume range", lengthIn: "Any length", shapers: "All shapers",
+};
+/** When nothing matches: which single constraint, dropped, brings boards back (most results first). */
+export function relaxSuggestions(list: Board[], f: FilterInput, volumeBounds: [number, number]): RelaxSuggestion[] {
+  const out: RelaxSuggestion[] = [];
+  for(const key of Object.keys(RELAX_LABELS) as RelaxSuggestion["key"][]){
+    const count = key==="volume"
+      ? filterBoards(list, { ...f, facets: { ...f.facets, volume: volumeBounds } }).length
+      : filterBoards(list, f, key).length;
+    if(count) out.push({ key, label: RELAX_LABELS[key], count });
+  }
+  return out.sort((a,b)=> b.count-a.count);
+}
+
+// ————— Search —————
+/** Lowercase, strip diacritics, drop apostrophes, turn other punctuation into spaces: "Lost/Mayhem" → "lost mayhem". */
+export function searchTokens(text: string): string[] {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/['’‘`]/g, "").replace(/[^a-z0-9.]+/g, " ").split(" ").map(t=> t.replace(/^\.+|\.+$/g, "")).filter(Boolean);
+}
+/** Distinct index tokens by character; a node carries the token that ends there, if any. */
+interface SearchTrie { next: Map<string, SearchTrie>; token?: string; }
+function buildSearchTrie(tokens: Iterable<string>): SearchTrie {
+  const root: SearchTrie = { next: new Map() };
+  for(const t of tokens){ let n = root; for(const c of t){ let m = n.next.get(c); if(!m) n.next.set(c, m = { next: new Map() }); n = m; } n.token = t; }
+  return root;
+}
+const trieTokens = (n: SearchTrie, out: string[] = []): string[]=>{ if(n.token) out.push(n.token); for(const m of n.next.values()) trieTokens(m, out); return out; };
+const SEARCH_FIELDS: { weight: number; get(b: Board): string[] }[] = [
+  { weight: 3, get: b=> [b.model] },
+  { weight: 2, get: b=> [b.shaper] },
+  { weight: 1, get: b=> [b.shaperCountry || "", b.tail, b.fins, b.construction, b.length, ...b.waveTypes.map(w=> WAVE_TYPES.find(x=> x.value===w)?.label || w)] },
+];
+/** Typing a query walks through every prefix of it; the cache is dropped wholesale once it fills. */
+const SEARCH_MEMO_LIMIT = 500;
+/**
+ * Inverted index over the distinct tokens of every board. A query token matches an index
+ * token exactly, as a prefix, or within 1–2 typos (by length); every query token must match
+ * for a board to hit. Typos are found by walking a trie of the tokens with one edit-distance
+ * row per node, so shared prefixes are scored once and a branch already over the typo budget
+ * is dropped instead of scanning the whole vocabulary per query token.
+ */
+export function createSearchIndex(boards: Board[]){
+  const postings = new Map<string, Map<number, number>>(); // token → board index → best field weight
+  const add = (tok: string, i: number, w: number)=>{ let m = postings.get(tok); if(!m) postings.set(tok, m = new Map()); if((m.get(i)||0) < w) m.set(i, w); };
+  boards.forEach((b,i)=>{
+    for(const f of SEARCH_FIELDS) for(const text of f.get(b)){
+      const toks = searchTokens(text);
+      toks.forEach(t=> add(t, i, f.weight));
+      if(toks.length>1) add(toks.join(""), i, f.weight); // "sci fi" also matches "scifi"
+    }
+  });
+  const trie = buildSearchTrie(postings.keys());
+  const memo = new Map<string, [string, number][]>();
+  function matchToken(q: string): [string, number][] {
+    const hit = memo.get(q); if(hit) return hit;
+    const maxTypos = q.length>=8 ? 2 : q.length>=4 ? 1 : 0;
+    const best = new Map<string, number>();
+    const keep = (t: string, quality: number)=>{ if((best.get(t)||0) < quality) best.set(t, quality); };
+    // `row[j]` is the edit distance (adjacent transpositions count as one) from the node's prefix to q's first j characters.
+    const visit = (node: SearchTrie, depth: number, row: number[], parentRow: number[], c: string)=>{
+      const d = row[q.length];
+      if(node.token && d<=maxTypos) keep(node.token, d===0 ? 1 : d===1 ? 0.6 : 0.45);
+      if(depth===q.length && d<=maxTypos) for(const child of node.next.values()) for(const t of trieTokens(child)) keep(t, d===0 ? 0.8 : 0.4); // prefix, or typo'd prefix
+      if(depth>=q.length+maxTypos || Math.min(...row)>maxTypos) return;
+      for(const [ch, child] of node.next){
+        const next = [depth+1];
+        for(let j=1;j<=q.length;j++){
+          let v = Math.min(row[j]+1, next[j-1]+1, row[j-1]+(ch===q[j-1] ? 0 : 1));
+          if(depth>0 && j>1 && ch===q[j-2] && c===q[j-1]) v = Math.min(v, parentRow[j-2]+1);
+          next.push(v);
+        }
+        visit(child, depth+1, next, row, ch);
+      }
+    };
+    visit(trie, 0, Array.from({ length: q.length+1 }, (_,j)=> j), [], "");
+    const out = Array.from(best);
+    if(memo.size>=SEARCH_MEMO_LIMIT) memo.clear();
+    memo.set(q, out); return out;
+  }
+  return {
+    size: boards.length,
+    /** Board id → relevance; an empty query returns null (no search active). */
+    search(query: string): Map<string, number> | null {
+      const qs = Array.from(new Set(searchTokens(query))); if(!qs.length) return null;
+      let acc: Map<number, number> | null = null;
+      for(const q of qs){
+        const per = new Map<number, number>();
+        for(const [tok, quality] of matchToken(q)) for(const [i, w] of postings.get(tok)!){ const sc = quality*w; if((per.get(i)||0) < sc) per.set(i, sc); }
+        const next: Map<number, number> = new Map();
+        for(const [i, sc] of per) if(!acc || acc.has(i)) next.set(i, (acc?.get(i)||0) + sc);
+        acc = next; if(!acc.size) break;
+      }
+      return new Map(Array.from(acc || []).map(([i, sc])=> [boards[i].id, sc] as const));
+    },
+  };
+}
+
+/** "Best match" order: search relevance first while a query is active, then the fit score. */
+export function rankBest<T extends Board & { _score: number }>(list: T[], hits: Map<string, number> | null): T[] {
+  return list.sort((a,b)=> (hits ? (hits.get(b.id)||0) - (hits.get(a.id)||0) : 0) || b._score - a._score);
+}
+
+// ————— Similar boards —————
+/** Weights sum to 1, so a similarity score reads as a 0–100% match. */
+export const SIMILARITY_WEIGHTS = { volume: 0.3, length: 0.15, tail: 0.1, fins: 0.1, waves: 0.2, abilities: 0.15 };
+const SIMILAR_VOLUME_SPAN_L = 6;
+const SIMILAR_LENGTH_SPAN_IN = 6;
+const jaccard = <T,>(a: T[], b: T[])=>{ if(!a.length && !b.length) return 1; const sb=new Set(b); const inter=a.filter(x=> sb.has(x)).length; return inter/(new Set([...a, ...b]).size); };
+export interface SimilarityMatch { board: Board; score: number; reasons: string[]; }
+export function boardSimilarity(a: Board, b: Board, w = SIMILARITY_WEIGHTS): { score: number; reasons: string[] } {
+  const reasons: string[] = [];
+  const dv = Math.abs(a.volume-b.volume);
+  const vol = 1 - Math.min(dv/SIMILAR_VOLUME_SPAN_L, 1);
+  if(dv<=2) reasons.push(dv<0.05 ? "Same volume" : `Volume within ${round1(dv)} L`);
+  let len = 0.5; // unknown length: neither helps nor hurts much
+  if(a.lengthIn!=null && b.lengthIn!=null){
+    const dl = Math.abs(a.lengthIn-b.lengthIn); len = 1 - Math.min(dl/SIMILAR_LENGTH_SPAN_IN, 1);
+    if(dl<=2) reasons.push(dl===0 ? "Same length" : `Length within ${round1(dl)}"`);
+  }
+  const same = (x: string, y: string)=> !!x && x.toLowerCase()===y.toLowerCase();
+  const tail = same(a.tail, b.tail) ? 1 : 0; if(tail) reasons.push(`${b.tail} tail`);
+  const fins = same(a.fins, b.fins) ? 1 : 0; if(fins) reasons.push(`${b.fins} fins`);
+  const waves = jaccard(a.waveTypes, b.waveTypes);
+  const shared = a.waveTypes.filter(x=> b.waveTypes.includes(x));
+  if(shared.length) reasons.push(`Also for ${labelsOf(WAVE_TYPES, shared).toLowerCase()}`);
+  const abil = jaccard(a.abilities, b.abilities); if(abil===1) reasons.push("Same ability range");
+  const score = w.volume*vol + w.length*len + w.tail*tail + w.fins*fins + w.waves*waves + w.abilities*abil;
+  return { score, reasons };
+}
+/** Closest boards to `target` from the catalog, best first. */
+export function similarBoards(target: Board, catalog: Board[], opts: { excludeSameShaper?: boolean; limit?: number } = {}): SimilarityMatch[] {
+  const { excludeSameShaper = false, limit = 5 } = opts;
+  return catalog
+    .filter(b=> b.id!==target.id && !(excludeSameShaper && b.shaper===target.shaper))
+    .map(b=> ({ board: b, ...boardSimilarity(target, b) }))
+    .sort((x,y)=> y.score-x.score)
+    .slice(0, limit);
+}
+
+// ————— Quiver builder —————
+export interface QuiverRider { weightKg: number; ability: Ability; fitness?: Fitness; ageBand?: AgeBand; frequency?: SurfFrequency; }
+/** `alternateFor` marks a board that leads no condition but adds a volume step within one (size > conditions). */
+export interface QuiverPick { board: Board; covers: WaveType[]; alternateFor?: WaveType; targetVolume: number; scores: Partial<Record<WaveType, number>>; }
+export interface QuiverResult { picks: QuiverPick[]; score: number; notes: string[]; }
+/** Candidates kept per condition before combinations are tried; keeps the search to a few thousand combos. */
+const QUIVER_CANDIDATES = 8;
+const QUIVER_MIN_STEP_L = 1.5;
+const QUIVER_MAX_STEP_L = 8;
+function combinations<T>(items: T[], k: number): T[][] {
+  if(k===0) return [[]]; if(items.length<k) return [];
+  const [head, ...rest] = items;
+  return [...combinations(rest, k-1).map(c=> [head, ...c]), ...combinations(rest, k)];
+}
+/**
+ * Picks `size` boards that together cover the rider's conditions. Each condition is scored
+ * with scoreBoard against that condition's own computeVolume target, so the groveler and the
+ * step-up are judged on different litres. A combination is the sum of the best score per
+ * condition, less penalties for near-duplicate boards, volume steps that are too small or too
+ * large, and boards that end up covering nothing. When `size` exceeds the conditions, the spare
+ * slots go to alternates: boards scored on their best condition that sit a sensible volume step
+ * from every other pick (a smaller and a bigger board for the same waves).
+ */
+export function buildQuiver(catalog: Board[], rider: QuiverRider, conditions: WaveType[], size = 2): QuiverResult | null {
+  const conds = Array.from(new Set(conditions)); if(!conds.length || !catalog.length) return null;
+  const targets = Object.fromEntries(conds.map(c=> [c, computeVolume({ ...rider, wave: c })])) as Record<WaveType, VolumeResult>;
+  const scoreOf = new Map<string, Partial<Record<WaveType, number>>>();
+  for(const b of catalog) scoreOf.set(b.id, Object.fromEntries(conds.map(c=> [c, scoreBoard(b, rider.weightKg, c, rider.ability, targets[c].range)])));
+  const pool = new Map<string, Board>();
+  for(const c of conds) catalog.filter(b=> b.abilities.includes(rider.ability)).sort((a,b)=> scoreOf.get(b.id)![c]! - scoreOf.get(a.id)![c]!).slice(0, QUIVER_CANDIDATES).forEach(b=> pool.set(b.id, b));
+  const k = Math.max(1, Math.min(size, pool.size)); const spare = Math.max(0, k - conds.length);
+  const bestCond = (b: Board)=> conds.reduce((x,y)=> scoreOf.get(b.id)![y]! > scoreOf.get(b.id)![x]! ? y : x);
+  let best: { combo: Board[]; score: number; assign: Record<WaveType, string>; alternates: Map<string, WaveType> } | null = null;
+  for(const combo of combinations(Array.from(pool.values()), k)){
+    const assign = {} as Record<WaveType, string>; let total = 0;
+    for(const c of conds){
+      const top = combo.reduce((x,y)=> scoreOf.get(y.id)![c]! > scoreOf.get(x.id)![c]! ? y : x);
+      assign[c] = top.id; total += scoreOf.get(top.id)![c]!;
+    }
+    const used = new Set(Object.values(assign)); const alternates = new Map<string, WaveType>();
+    const idle = combo.filter(b=> !used.has(b.id)).sort((a,b)=> scoreOf.get(b.id)![bestCond(b)]! - scoreOf.get(a.id)![bestCond(a)]!);
+    for(const b of idle){
+      const gap = Math.min(...combo.filter(o=> o!==b).map(o=> Math.abs(o.volume-b.volume)));
+      if(alternates.size<spare && gap>=QUIVER_MIN_STEP_L && gap<=QUIVER_MAX_STEP_L){ alternates.set(b.id, bestCond(b)); total += scoreOf.get(b.id)![bestCond(b)]!; }
+      else total -= 25;
+    }
+    const vols = combo.map(b=> b.volume).sort((a,b)=> a-b);
+    for(let i=1;i<vols.length;i++){ const step = vols[i]-vols[i-1]; if(step<QUIVER_MIN_STEP_L) total -= 10; else if(step>QUIVER_MAX_STEP_L) total -= (step-QUIVER_MAX_STEP_L)*2; }
+    for(let i=0;i<combo.length;i++) for(let j=i+1;j<combo.length;j++) if(boardSimilarity(combo[i], combo[j]).score>0.85) total -= 15;
+    if(!best || total>best.score) best = { combo, score: total, assign, alternates };
+  }
+  if(!best) return null;
+  const { combo, assign, alternates } = best;
+  const picks: QuiverPick[] = combo.map(b=> ({
+    board: b,
+    covers: conds.filter(c=> assign[c]===b.id),
+    alternateFor: alternates.get(b.id),
+    targetVolume: round1(conds.filter(c=> assign[c]===b.id).reduce((s,c,_,arr)=> s + targets[c].target/arr.length, 0)) || targets[alternates.get(b.id) || conds[0]].target,
+    scores: scoreOf.get(b.id)!,
+  })).sort((a,b)=> b.board.volume-a.board.volume);
+  const notes: string[] = [];
+  for(let i=1;i<picks.length;i++) notes.push(`${round1(picks[i-1].board.volume - picks[i].board.volume)} L step from ${picks[i-1].board.model} to ${picks[i].board.model}`);
+  if(picks.length<size) notes.push(`Only ${picks.length} suitable board${picks.length===1?"":"s"} in the catalog for these conditions`);
+  for(const p of picks) if(!p.covers.length && !p.alternateFor) notes.push(`${p.board.model} doesn't lead any condition — consider a smaller quiver`);
+  return { picks, score: best.score, notes };
+}
+
+// ————— Comparison —————
+export type CompareBoard = Board & { _score?: number; _breakdown?: ScoreBreakdown };
+export interface CompareContext { units: Units; targetVolume?: number; riderKg?: number; baselineId?: string; }
+export interface CompareCell { text: string; href?: string; delta?: string; mark?: "best" | "worst"; }
+export interface CompareRow { key: string; label: string; group: "spec" | "shaper" | "score"; cells: CompareCell[]; identical: boolean; }
+interface CompareRowSpec {
+  key: string; label: string | ((ctx: CompareContext)=>string); group: CompareRow["group"];
+  text(b: CompareBoard, ctx: CompareContext): string;
+  href?(b: CompareBoard): string | undefined;
+  /** Numeric form used for deltas against the baseline. */
+  value?(b: CompareBoard): number | undefined;
+  formatDelta?(d: number, ctx: CompareContext): string;
+  /** Lower is better; rows without it get deltas but no best/worst marks. */
+  rank?(b: CompareBoard, ctx: CompareContext): number | undefined;
+}
+const signed = (n:number, unit = "")=> `${n>0?"+":n<0?"−":"±"}${round1(Math.abs(n))}${unit}`;
+const labelsOf = (opts: readonly { value: string; label: string }[], vals: string[])=> vals.map(v=> opts.find(o=> o.value===v)?.label || v).join(", ");
+const COMPARE_ROWS: CompareRowSpec[] = [
+  { key: "length", label: "Length", group: "spec", text: (b,ctx)=> formatLength(b, ctx.units), value: b=> b.lengthIn,
+    formatDelta: (d,ctx)=> ctx.units==="imperial" ? signed(d, '"') : signed(d*2.54, " cm") },
+  { key: "volume", label: "Volume (L)", group: "spec", text: b=> String(b.volume), value: b=> b.volume, formatDelta: d=> signed(d, " L"),
+    rank: (b,ctx)=> ctx.targetVolume==null ? undefined : Math.abs(b.volume-ctx.targetVolume) },
+  { key: "recommendedWeight", label: ctx=> `Rider weight (${ctx.units==="imperial"? "lb" : "kg"})`, group: "spec",
+    text: (b,ctx)=> b.recommendedWeight.map(kg=> ctx.units==="imperial" ? Math.round(kgToLb(kg)) : kg).join("–"),
+    rank: (b,ctx)=>{ if(ctx.riderKg==null) return undefined; const [lo,hi]=b.recommendedWeight; return Math.max(0, lo-ctx.riderKg, ctx.riderKg-hi); } },
+  { key: "tail", label: "Tail", group: "spec", text: b=> b.tail },
+  { key: "fins", label: "Fin Setup", group: "spec", text: b=> b.fins },
+  { key: "construction", label: "Construction", group: "spec", text: b=> b.construction },
+  { key: "waveTypes", label: "Waves", group: "spec", text: b=> labelsOf(WAVE_TYPES, b.waveTypes) },
+  { key: "abilities", label: "Ability", group: "spec", text: b=> labelsOf(ABILITIES, b.abilities) },
+  { key: "shaperCountry", label: "Shaper country", group: "shaper", text: b=> b.shaperCountry || "—" },
+  { key: "shaperWebsite", label: "Shaper website", group: "shaper", text: b=> b.shaperWebsite ? b.shaperWebsite.replace(/^https?:\/\/(www\.)?/,"") : "—", href: b=> b.shaperWebsite || undefined },
+];
+/**
+ * Turns the selected boards into display rows: formatted text, deltas against the
+ * baseline board, best/worst marks and an `identical` flag for the "hide same" toggle.
+ * The table, CSV export and print view all render from this.
+ */
+export function buildComparison(boards: CompareBoard[], ctx: CompareContext): CompareRow[] {
+  const factorKeys = Array.from(new Map(boards.flatMap(b=> b._breakdown?.factors || []).map(f=> [f.key, f.label] as const)).entries());
+  const factorRows: CompareRowSpec[] = factorKeys.map(([key,label])=> {
+    const pts = (b: CompareBoard)=> b._breakdown?.factors.find(f=> f.key===key)?.points;
+    return { key: `factor:${key}`, label, group: "score", text: b=>{ const p=pts(b); return p==null ? "—" : fmtPoints(p); }, value: pts, formatDelta: d=> signed(d), rank: b=>{ const p=pts(b); return p==null? undefined : -p; } };
+  });
+  const scoreRow: CompareRowSpec = { key: "score", label: "Match score", group: "score", text: b=> String(Math.round(b._score||0)), value: b=> b._score, formatDelta: d=> signed(Math.round(d)), rank: b=> b._score==null ? undefined : -b._score };
+  const baseline = boards.find(b=> b.id===ctx.baselineId);
+  return [...COMPARE_ROWS, ...factorRows, scoreRow].map(spec=>{
+    const ranks = spec.rank ? boards.map(b=> spec.rank!(b, ctx)) : [];
+    const known = ranks.filter((r): r is number => r!=null);
+    const lo = Math.min(...known), hi = Math.max(...known);
+    const canMark = boards.length>1 && known.length>1 && lo!==hi;
+    const baseV = baseline && spec.value ? spec.value(baseline) : undefined;
+    const cells = boards.map((b,i): CompareCell=>{
+      const v = spec.value?.(b);
+      return {
+        text: spec.text(b, ctx),
+        href: spec.href?.(b),
+        delta: baseline && b.id!==baseline.id && v!=null && baseV!=null && spec.formatDelta ? spec.formatDelta(v-baseV, ctx) : undefined,
+        mark: canMark && ranks[i]===lo ? "best" : canMark && ranks[i]===hi ? "worst" : undefined,
+      };
     });
+    return { key: spec.key, label: typeof spec.label==="function" ? spec.label(ctx) : spec.label, group: spec.group, cells, identical: cells.every(c=> c.text===cells[0].text) };
+  });
+}
+export function comparisonToCSV(boards: CompareBoard[], rows: CompareRow[]): string {
+  return toCSV([["Spec", ...boards.map(b=> `${b.shaper} – ${b.model}`)], ...rows.map(r=> [r.label, ...r.cells.map(c=> c.href || c.text)])]);
+}
+const escapeHtml = (t:string)=> t.replace(/[&<>"']/g, c=> ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" } as Record<string,string>)[c]);
+function comparisonToPrintHtml(boards: CompareBoard[], rows: CompareRow[]): string {
+  const head = `<tr><th>Spec</th>${boards.map(b=> `<th>${escapeHtml(`${b.shaper} – ${b.model}`)}</th>`).join("")}</tr>`;
+  const body = rows.map(r=> `<tr><th>${escapeHtml(r.label)}</th>${r.cells.map(c=> `<td class="${c.mark||""}">${escapeHtml(c.text)}${c.delta? ` <small>(${escapeHtml(c.delta)})</small>` : ""}</td>`).join("")}</tr>`).join("");
+  return `<!doctype html><html><head><meta charset="utf-8"><title>Board comparison</title><style>
+body{font:13px system-ui,sans-serif;margin:24px}table{border-collapse:collapse;width:100%}th,td{border:1px solid #ddd;padding:6px 8px;text-align:left;vertical-align:top}
+thead th{background:#f5f5f5}.best{font-weight:600;background:#ecfdf5}.worst{color:#b91c1c}small{color:#666}
+</style></head><body><h1>Board comparison</h1><table><thead>${head}</thead><tbody>${body}</tbody></table><p><small>${escapeHtml(new Date().toLocaleDateString())} · Surfboard Finder</small></p></body></html>`;
+}
+/** Long enough for the browser to start reading the blob; Firefox and Safari drop downloads revoked sooner. */
+const DOWNLOAD_REVOKE_MS = 10_000;
+/** Firefox ignores clicks on detached anchors, so the link is attached just for the click. */
+export function downloadText(filename: string, text: string, type = "text/csv;charset=utf-8"){
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a"); a.href = url; a.download = filename; a.style.display = "none";
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), DOWNLOAD_REVOKE_MS);
+}
+
+// ————— Catalog editor (models.csv / shapers.csv round-trip) —————
+export const MODEL_COLUMNS = ["id","shaper_id","model","waveTypes","abilities","recommendedWeightMin","recommendedWeightMax","length","volume","tail","fins","construction","img","sponsored"] as const;
+export const SHAPER_COLUMNS = ["id","name","country","website"] as const;
+export type CatalogFile = "models" | "shapers";
+export type CsvRow = Record<string, string>;
+/** How the source file was written: line ending, byte-order mark, newline after the last row. */
+export interface CsvFormat { eol: "\n" | "\r\n"; bom: boolean; finalEol: boolean; }
+/**
+ * One CSV file as editable rows. Cells stay in source vocabulary ("Beach, Point", nan, False) and
+ * `format` keeps the file's layout, so rows nobody touched export byte-for-byte; `errors` are rows
+ * the reader had to skip.
+ */
+export interface CatalogTable { headers: string[]; rows: CsvRow[]; errors: CSVError[]; format: CsvFormat; }
+export interface CatalogDraft { models: CatalogTable; shapers: CatalogTable; }
+/** Column order comes from the file; expected columns it lacks are appended so new rows can fill them. */
+export function readCatalogTable(csv: string, columns: readonly string[]): CatalogTable {
+  const t = parseCSVTable(csv);
+  const headers = [...t.headers, ...columns.filter(c=> !t.headers.includes(c))];
+  const format: CsvFormat = { eol: /^[^\n]*\r\n/.test(csv) ? "\r\n" : "\n", bom: csv.startsWith("\uFEFF"), finalEol: !csv || /\n$/.test(csv) };
+  return { headers, rows: t.rows.map(r=> Object.fromEntries(headers.map((h,i)=> [h, r.fields[i] ?? ""]))), errors: t.errors, format };
+}
+export function tableToCSV(t: CatalogTable): string {
+  const { eol, bom, finalEol } = t.format;
+  const body = toCSV([t.headers, ...t.rows.map(r=> t.headers.map(h=> r[h] ?? ""))], eol);
+  return (bom ? "\uFEFF" : "") + (finalEol ? body : body.slice(0, -eol.length));
+}
+/** Raw files from the first csv source that answers — the editor works on the files, never the cache. */
+export async function loadCatalogFiles(sources: SourceConfig[] = DATA_SOURCES, doFetch: typeof fetch = (...a)=> fetch(...a)): Promise<{ source: string; draft: CatalogDraft }> {
+  const errors: string[] = [];
+  for(const cfg of sources){
+    if(cfg.type!=="csv") continue;
+    try{
+      const got = await fetchBodies({ fetch: doFetch, etags: {} }, [cfg.modelsUrl, cfg.shapersUrl], "Catalog");
+      const [models, shapers] = await Promise.all(got!.bodies.map(r=> r.text()));
+      return { source: cfg.name || cfg.modelsUrl, draft: { models: readCatalogTable(models, MODEL_COLUMNS), shapers: readCatalogTable(shapers, SHAPER_COLUMNS) } };
+    }catch(e:any){ errors.push(`${cfg.name || cfg.modelsUrl}: ${e?.message || e}`); }
+  }
+  throw new Error(errors.length ? errors.join("; ") : "No csv source configured");
+}
+/**
+ * New ids continue the numeric sequence past every table given. Pass the loaded file as well as the
+ * draft: an id deleted in the draft may still be referenced (campaigns.json boostedBoardIds), and
+ * reusing it would also make the diff and Revert treat the new row as the old one.
+ */
+export function nextId(...tables: CatalogTable[]){
+  return String(tables.flatMap(t=> t.rows).reduce((m,r)=>{ const n = Number(r.id); return Number.isInteger(n) && n>m ? n : m; }, 0) + 1);
+}
+/** An empty row for `t` whose id is new to both the draft and `original`, the file as loaded. */
+export function blankRow(t: CatalogTable, file: CatalogFile, original: CatalogTable): CsvRow {
+  const row: CsvRow = Object.fromEntries(t.headers.map(h=> [h, ""])); const id = nextId(t, original);
+  return file==="models" ? { ...row, id, img: "nan", sponsored: "False" } : { ...row, id };
+}
+export function upsertRow(t: CatalogTable, row: CsvRow): CatalogTable {
+  const i = t.rows.findIndex(r=> r.id===row.id);
+  return { ...t, rows: i<0 ? [...t.rows, row] : t.rows.map((r,j)=> j===i ? row : r) };
+}
+export const removeRow = (t: CatalogTable, id: string): CatalogTable => ({ ...t, rows: t.rows.filter(r=> r.id!==id) });
+/** Puts one row back the way `original` had it (or drops it if it was added), keeping its original position. */
+export function revertRow(draft: CatalogDraft, original: CatalogDraft, file: CatalogFile, id: string): CatalogDraft {
+  const before = original[file].rows.find(r=> r.id===id);
+  if(!before) return { ...draft, [file]: removeRow(draft[file], id) };
+  if(draft[file].rows.some(r=> r.id===id)) return { ...draft, [file]: upsertRow(draft[file], before) };
+  const order = new Map(original[file].rows.map((r,i)=> [r.id, i] as const));
+  const at = draft[file].rows.findIndex(r=> (order.get(r.id) ?? Infinity) > order.get(id)!);
+  const rows = [...draft[file].rows]; rows.splice(at<0 ? rows.length : at, 0, before);
+  return { ...draft, [file]: { ...draft[file], rows } };
+}
+/** Canonical enum → the word models.csv uses for it. */
+const SOURCE_LABELS: Record<"waveTypes" | "abilities", Record<string, string>> = {
+  waveTypes: { small_beach: "Beach", mellow_point: "Point", punchy_reef: "Reef", overhead: "Overhead" },
+  abilities: { beginner: "Beginner", intermediate: "Intermediate", advanced: "Advanced" },
+};
+/** Adds or removes one enum value in a list cell, leaving the other tokens as written (an "All" token is expanded). */
+export function toggleListCell(cell: string, field: "waveTypes" | "abilities", value: string, on: boolean): string {
+  const norm = createNormalizer(); const labels = SOURCE_LABELS[field];
+  const tokens = isMissing(cell) ? [] : cell.split(/[|,;]/).map(t=> t.trim()).filter(Boolean);
+  const has = (t: string)=> (norm[field](t) as string[]).includes(value);
+  if(on) return tokens.some(has) ? cell : [...tokens, labels[value]].join(", ");
+  return tokens.flatMap(t=> !has(t) ? [t] : (norm[field](t) as string[]).filter(v=> v!==value).map(v=> labels[v])).join(", ");
+}
+export interface DraftIssue { file: CatalogFile; id: string; field: string; message: string; severity: "error" | "warning"; }
+/** Board fields reported by validateBoards, mapped back onto the models.csv column a maintainer edits. */
+const BOARD_FIELD_COLUMN: Record<string, string> = { recommendedWeight: "recommendedWeightMin", lengthIn: "length", shaper: "shaper_id" };
+/**
+ * Validates the draft the way the app will read it: each model row goes through boardFromRecord and
+ * validateBoards, plus the checks the Board shape can't see — unknown vocabulary, non-numeric cells,
+ * shaper references and duplicate shaper ids. One issue per row and column; the first message wins.
+ */
+export function validateDraft(d: CatalogDraft): DraftIssue[] {
+  const issues: DraftIssue[] = []; const seen = new Set<string>();
+  const add = (file: CatalogFile, id: string, field: string, message: string, severity: DraftIssue["severity"] = "error")=>{
+    const k = `${file}:${id}:${field}`; if(seen.has(k)) return; seen.add(k);
+    issues.push({ file, id, field, message, severity });
+  };
+  const names = new Map<string, string>();
+  for(const s of d.shapers.rows){
+    if(!s.id?.trim()) add("shapers", s.id, "id", "Required");
+    else if(names.has(s.id)) add("shapers", s.id, "id", `Duplicate id "${s.id}"`);
+    names.set(s.id, s.name);
+    if(!s.name?.trim()) add("shapers", s.id, "name", "Required");
+    if(s.website && !/^https?:\/\//i.test(s.website)) add("shapers", s.id, "website", "Expected an http(s) URL", "warning");
+  }
+  const boards = d.models.rows.map((r,i)=>{
+    const norm = createNormalizer();
+    if(!names.has(r.shaper_id)) add("models", r.id, "shaper_id", r.shaper_id ? `Unknown shaper_id "${r.shaper_id}"` : "Required");
+    for(const col of ["recommendedWeightMin","recommendedWeightMax","volume"]) if(!isMissing(r[col]) && norm.num(r[col])===undefined) add("models", r.id, col, `"${r[col]}" is not a number`);
+    if(!["True","False"].includes(r.sponsored)) add("models", r.id, "sponsored", "Expected True or False", "warning");
+    const b = boardFromRecord(k=> r[k], norm, i+1, { id: (r.id||"").trim(), shaper: names.get(r.shaper_id) || "", sourceLine: i+1 });
+    for(const key of Object.keys(norm.unmapped)){ const [field, token] = key.split(/:(.*)/); add("models", r.id, field, `Unknown value "${token}"`, field==="length" ? "warning" : "error"); }
+    return b;
+  });
+  for(const i of validateBoards(boards, "flag").issues) add("models", d.models.rows[i.row-1].id, BOARD_FIELD_COLUMN[i.field] || i.field, i.message, i.severity);
+  return issues;
+}
+export interface CellChange { column: string; before: string; after: string; }
+export interface RowChange { file: CatalogFile; id: string; kind: "added" | "removed" | "changed"; label: string; cells: CellChange[]; }
+/** Row-level diff keyed on id, shapers first since models reference them. */
+export function diffCatalog(before: CatalogDraft, after: CatalogDraft): RowChange[] {
+  const out: RowChange[] = [];
+  for(const file of ["shapers","models"] as const){
+    const prev = new Map(before[file].rows.map(r=> [r.id, r] as const));
+    const next = new Set(after[file].rows.map(r=> r.id));
+    const label = (r: CsvRow)=> (file==="models" ? r.model : r.name) || "(unnamed)";
+    for(const r of after[file].rows){
+      const old = prev.get(r.id);
+      const cells = after[file].headers.map(column=> ({ column, before: old?.[column] ?? "", after: r[column] ?? "" })).filter(c=> c.before!==c.after);
+      if(!old) out.push({ file, id: r.id, kind: "added", label: label(r), cells });
+      else if(cells.length) out.push({ file, id: r.id, kind: "changed", label: label(r), cells });
+    }
+    for(const r of before[file].rows) if(!next.has(r.id)) out.push({ file, id: r.id, kind: "removed", label: label(r), cells: [] });
   }
   return out;
 }
 
+// ————— Board images —————
+const hashString = (s: string)=>{ let h = 0; for(const c of s) h = (h*31 + c.charCodeAt(0)) | 0; return Math.abs(h); };
+const xmlEscape = (s: string)=> s.replace(/[&<>"']/g, c=> `&#${c.charCodeAt(0)};`);
+/** True when `img` looks like something a browser can load; models.csv ships `nan` for most rows. */
+export const hasPhoto = (b: Pick<Board, "img">)=> !isMissing(b.img) && /^(https?:|data:|\/|\.\/)/i.test(b.img.trim());
+/** Generated SVG card (shaper-tinted, model + shaper name) so boards without a photo still read as distinct. */
+export function placeholderImage(b: Pick<Board, "model" | "shaper">): string {
+  const hue = hashString(b.shaper) % 360; const font = `font-family="system-ui,sans-serif" text-anchor="middle"`;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1200 600"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="hsl(${hue},45%,90%)"/><stop offset="1" stop-color="hsl(${(hue+40)%360},45%,72%)"/></linearGradient></defs>`
+    + `<rect width="1200" height="600" fill="url(#g)"/><path d="M0 450 Q150 390 300 450 T600 450 T900 450 T1200 450 V600 H0Z" fill="hsl(${hue},40%,55%)" opacity=".45"/>`
+    + `<text x="600" y="270" ${font} font-size="72" font-weight="600" fill="hsl(${hue},35%,20%)">${xmlEscape(b.model)}</text><text x="600" y="340" ${font} font-size="36" fill="hsl(${hue},25%,30%)">${xmlEscape(b.shaper)}</text></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// ————— Routes (hash-based: #/board/<id>, #/shaper/<id>, #/admin) —————
+export type Route = { kind: "home" } | { kind: "board"; id: string } | { kind: "shaper"; id: string } | { kind: "admin" };
+export const boardHref = (id: string)=> `#/board/${encodeURIComponent(id)}`;
+export const shaperHref = (id: string)=> `#/shaper/${encodeURIComponent(id)}`;
+/** Plain anchors (#finder, #shapers…) stay on the home route. */
+export function parseRoute(hash: string): Route {
+  if(hash==="#/admin") return { kind: "admin" };
+  const m = hash.match(/^#\/(board|shaper)\/(.+)$/);
+  if(!m) return { kind: "home" };
+  let id = m[2]; try{ id = decodeURIComponent(id); }catch{ /* keep raw */ }
+  return { kind: m[1] as "board" | "shaper", id };
+}
+function useHashRoute(): Route {
+  const [route, setRoute] = useState<Route>(()=> typeof window==="undefined" ? { kind: "home" } : parseRoute(window.location.hash));
+  useEffect(()=>{
+    const onHash = ()=>{
+      const next = parseRoute(window.location.hash); setRoute(next);
+      // coming back from a detail page, the anchor target only exists after the home view renders
+      if(next.kind!=="home") window.scrollTo({ top: 0 });
+      else requestAnimationFrame(()=> document.getElementById(window.location.hash.slice(1))?.scrollIntoView());
+    };
+    window.addEventListener("hashchange", onHash);
+    return ()=> window.removeEventListener("hashchange", onHash);
+  }, []);
+  return route;
+}
+const slug = (s: string)=> s.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+/** Sources without shapers.csv only know shaper names, so ids fall back to a slug of the name. */
+export const shaperIdOf = (b: Board)=> b.shaperId || slug(b.shaper);
+export function deriveShapers(boards: Board[]): Shaper[] {
+  const by = new Map<string, Shaper>();
+  for(const b of boards){ const id = shaperIdOf(b); if(!by.has(id)) by.set(id, { id, name: b.shaper, country: b.shaperCountry || "", website: b.shaperWebsite || "" }); }
+  return Array.from(by.values()).sort((a,b)=> a.name.localeCompare(b.name));
+}
+
+// ————— URL state —————
+type SortMode = "best" | "volume";
+export interface FinderUrlState {
+  weight: number | string; ability: Ability; wave: WaveType; fitness: Fitness; ageBand: AgeBand; frequency: SurfFrequency;
+  sort: SortMode; shapers: string[]; compare: string[]; compareOpen: boolean; query: string;
+}
+export const DEFAULT_FINDER_STATE: FinderUrlState = {
+  weight: 80, ability: "intermediate", wave: "mellow_point", fitness: "average", ageBand: "under_30", frequency: "weekly",
+  sort: "best", shapers: [], compare: [], compareOpen: false, query: "",
+};
+const oneOf = <T extends string>(opts: readonly { value: T }[], v: string | null): T | undefined => opts.find(o=> o.value===v)?.value;
+const SORT_MODES = [{ value: "best" }, { value: "volume" }] as const;
+/** Only non-default values are written, so a fresh visit has a clean URL. */
+export function encodeFinderState(st: FinderUrlState): string {
+  const q = new URLSearchParams(); const d = DEFAULT_FINDER_STATE;
+  if(String(st.weight)!==String(d.weight)) q.set("w", String(st.weight));
+  if(st.ability!==d.ability) q.set("ab", st.ability);
+  if(st.wave!==d.wave) q.set("wave", st.wave);
+  if(st.fitness!==d.fitness) q.set("fit", st.fitness);
+  if(st.ageBand!==d.ageBand) q.set("age", st.ageBand);
+  if(st.frequency!==d.frequency) q.set("freq", st.frequency);
+  if(st.sort!==d.sort) q.set("sort", st.sort);
+  if(st.query.trim()) q.set("q", st.query.trim());
+  if(st.shapers.length) q.set("shapers", st.shapers.join(","));
+  if(st.compare.length) q.set("cmp", st.compare.join(","));
+  if(st.compareOpen && st.compare.length) q.set("view", "compare");
+  const out = q.toString().replace(/%2C/g, ","); return out? `?${out}` : "";
+}
+/** Unknown or malformed values fall back to defaults rather than failing. */
+export function decodeFinderState(search: string): FinderUrlState {
+  const q = new URLSearchParams(search); const d = DEFAULT_FINDER_STATE;
+  const list = (k:string)=> (q.get(k)||"").split(",").map(x=>x.trim()).filter(Boolean);
+  const w = Number(q.get("w"));
+  const compare = Array.from(new Set(list("cmp"))).slice(0, 4);
+  return {
+    weight: q.has("w") && Number.isFinite(w) && w>0 ? w : d.weight,
+    ability: oneOf(ABILITIES, q.get("ab")) ?? d.ability,
+    wave: oneOf(WAVE_TYPES, q.get("wave")) ?? d.wave,
+    fitness: oneOf(FITNESS_OPTIONS, q.get("fit")) ?? d.fitness,
+    ageBand: oneOf(AGE_BANDS, q.get("age")) ?? d.ageBand,
+    frequency: oneOf(SURF_FREQUENCIES, q.get("freq")) ?? d.frequency,
+    sort: oneOf(SORT_MODES, q.get("sort")) ?? d.sort,
+    query: q.get("q") || "",
+    shapers: list("shapers"),
+    compare,
+    compareOpen: q.get("view")==="compare" && compare.length>0,
+  };
+}
+const readUrlState = ()=> typeof window==="undefined" ? DEFAULT_FINDER_STATE : decodeFinderState(window.location.search);
+/**
+ * Mirrors finder state into the query string. Discrete changes push a history entry so
+ * back/forward step through them; typing in the weight or search box only replaces the current one.
+ * Returns `replaceNext`, for corrections (like pruning stale ids) that shouldn't add a history entry.
+ */
+function useFinderUrlSync(state: FinderUrlState, apply: (s: FinderUrlState)=>void){
+  const last = useRef<FinderUrlState>(state);
+  const replace = useRef(false);
+  useEffect(()=>{
+    const onPop = ()=>{ const next = readUrlState(); last.current = next; apply(next); };
+    window.addEventListener("popstate", onPop);
+    return ()=> window.removeEventListener("popstate", onPop);
+  }, [apply]);
+  const qs = encodeFinderState(state);
+  useEffect(()=>{
+    // after popstate the URL already holds this state
+    if(qs===encodeFinderState(readUrlState())) return;
+    const typing = encodeFinderState({ ...state, weight: last.current.weight, query: last.current.query })===encodeFinderState(last.current);
+    const url = window.location.pathname + qs + window.location.hash;
+    if(typing || replace.current) window.history.replaceState(null, "", url); else window.history.pushState(null, "", url);
+    last.current = state; replace.current = false;
+  }, [qs]);
+  const replaceNext = useCallback(()=>{ replace.current = true; }, []);
+  return { replaceNext };
+}
+
+// ————— Sponsored placements (campaigns.json) —————
+export type AdSlot = "top_banner" | "sidebar" | "in_feed" | "results";
+export interface AdCreative { headline: string; body?: string; url?: string; cta?: string; }
+/** `start`/`end` are inclusive ISO dates; a `results` campaign lifts its boosted boards into the marked result slots. */
+export interface Campaign { id: string; slot: AdSlot; advertiser: string; start?: string; end?: string; frequencyCap?: { impressions: number; hours: number }; creative?: AdCreative; boostedBoardIds?: string[]; }
+export interface CampaignConfig { resultSlots: number[]; campaigns: Campaign[]; }
+export const CAMPAIGNS = campaignsConfig as CampaignConfig;
+const SPONSORED_KEY = "surfboard-finder:sponsored";
+const IMPRESSIONS_KEY = "surfboard-finder:impressions";
+/** Campaign id → impression timestamps (ms). */
+export type ImpressionLog = Record<string, number[]>;
+const dayMs = (iso: string)=> Date.parse(`${iso}T00:00:00`);
+export function isCampaignLive(c: Campaign, now: number){
+  return (!c.start || now >= dayMs(c.start)) && (!c.end || now < dayMs(c.end) + 864e5);
+}
+export function underFrequencyCap(c: Campaign, log: ImpressionLog, now: number){
+  if(!c.frequencyCap) return true;
+  const since = now - c.frequencyCap.hours*36e5;
+  return (log[c.id]||[]).filter(t=> t>since).length < c.frequencyCap.impressions;
+}
+export function activeCampaigns(cfg: CampaignConfig, slot: AdSlot, now: number, log: ImpressionLog = {}){
+  return cfg.campaigns.filter(c=> c.slot===slot && isCampaignLive(c, now) && underFrequencyCap(c, log, now));
+}
+function readImpressions(): ImpressionLog {
+  const raw = readStored<unknown>(IMPRESSIONS_KEY, {});
+  return raw && typeof raw==="object" && !Array.isArray(raw) ? raw as ImpressionLog : {};
+}
+/** Appends one impression per campaign and drops entries older than a week so the log stays small. */
+function recordImpressions(ids: string[], now = Date.now()){
+  if(!ids.length) return;
+  const log = readImpressions(); const keep = now - 7*864e5;
+  for(const id of ids) log[id] = [...(log[id]||[]).filter(t=> t>keep), now];
+  writeStored(IMPRESSIONS_KEY, log);
+}
+export interface Placement<T> { board: T; campaign?: Campaign; }
+/**
+ * Organic order is left as ranked; boosted boards that already made the filtered list are lifted
+ * into `slots` (in ranking order, first campaign wins a board) and carry their campaign for labelling.
+ * Boards never get inserted from outside the list, and extra boosted boards keep their organic spot.
+ */
+export function placeSponsored<T extends Board>(organic: T[], campaigns: Campaign[], slots: number[]): Placement<T>[] {
+  const owner = new Map<string, Campaign>();
+  for(const c of campaigns) for(const id of c.boostedBoardIds||[]) if(!owner.has(id)) owner.set(id, c);
+  const order = [...slots].sort((a,b)=> a-b);
+  const paid = organic.filter(b=> owner.has(b.id)).slice(0, order.length);
+  const paidIds = new Set(paid.map(b=> b.id));
+  const out: Placement<T>[] = organic.filter(b=> !paidIds.has(b.id)).map(board=> ({ board }));
+  paid.forEach((board,i)=> out.splice(Math.min(order[i], out.length), 0, { board, campaign: owner.get(board.id) }));
+  return out;
+}
+/**
+ * Ad-slot state for one page view: campaigns are picked once at mount so caps don't swap creatives mid-visit.
+ * Picking isn't an impression; the creatives and placements record their own via useImpression.
+ */
+function useSponsorship(){
+  const [enabled, setEnabledState] = useState(()=> readStored<boolean>(SPONSORED_KEY, true)!==false);
+  const [picked] = useState(()=>{
+    const now = Date.now(); const log = readImpressions();
+    const first = (slot: AdSlot)=> activeCampaigns(CAMPAIGNS, slot, now, log)[0];
+    return { now, topBanner: first("top_banner"), sidebar: first("sidebar"), inFeed: first("in_feed"), results: activeCampaigns(CAMPAIGNS, "results", now, log) };
+  });
+  const setEnabled = (v: boolean)=>{ setEnabledState(v); writeStored(SPONSORED_KEY, v); };
+  return { ...picked, enabled, setEnabled };
+}
+
+/**
+ * Records one impression the first time this element is on screen, once per mounted instance.
+ * Copies hidden with display: none (the sidebar below lg) never intersect, so they never count.
+ */
+function useImpression<T extends Element>(campaignId?: string){
+  const ref = useRef<T|null>(null);
+  useEffect(()=>{
+    const el = ref.current; if(!campaignId || !el) return;
+    if(typeof IntersectionObserver==="undefined"){ if(el.getClientRects().length) recordImpressions([campaignId]); return; }
+    const io = new IntersectionObserver((entries)=>{ if(entries.some(e=> e.isIntersecting)){ io.disconnect(); recordImpressions([campaignId]); } }, { threshold: 0.5 });
+    io.observe(el);
+    return ()=> io.disconnect();
+  }, [campaignId]);
+  return ref;
+}
+
+// ————— Dialog focus —————
+/** Our dialogs open from code rather than a DialogTrigger, so Radix has nowhere to return focus on close; remember the opener instead. */
+function useDialogFocusReturn(){
+  const opener = useRef<HTMLElement|null>(null);
+  return {
+    remember: ()=>{ opener.current = document.activeElement instanceof HTMLElement ? document.activeElement : null; },
+    onCloseAutoFocus: (e: Event)=>{ const el = opener.current; opener.current = null; if(el?.isConnected){ e.preventDefault(); el.focus(); } },
+  };
+}
+
 // ————— Page —————
 export default function SurfboardFinderProCompare(){
-  const [weight, setWeight] = useState<number|string>(80);
-  const [ability, setAbility] = useState<Ability>("intermediate");
-  const [wave, setWave] = useState<WaveType>("mellow_point");
-  const [sort, setSort] = useState<"best"|"volume"|"sponsored">("best");
-  const [selectedShapers, setSelectedShapers] = useState<string[]>([]);
-  const [compareIds, setCompareIds] = useState<string[]>([]);
-  const [openCompare, setOpenCompare] = useState(false);
+  const [initial] = useState(readUrlState);
+  const [weight, setWeight] = useState<number|string>(initial.weight);
+  const [ability, setAbility] = useState<Ability>(initial.ability);
+  const [wave, setWave] = useState<WaveType>(initial.wave);
+  const [fitness, setFitness] = useState<Fitness>(initial.fitness);
+  const [ageBand, setAgeBand] = useState<AgeBand>(initial.ageBand);
+  const [frequency, setFrequency] = useState<SurfFrequency>(initial.frequency);
+  const [sort, setSort] = useState<SortMode>(initial.sort);
+  const [selectedShapers, setSelectedShapers] = useState<string[]>(initial.shapers);
+  const [compareIds, setCompareIds] = useState<string[]>(initial.compare);
+  const [openCompare, setOpenCompare] = useState(initial.compareOpen);
+  const [linkNotice, setLinkNotice] = useState<string|null>(null);
+  const [query, setQuery] = useState(initial.query);
+  const [similarToId, setSimilarToId] = useState<string|null>(null);
+  const [facets, setFacets] = useState<FacetState>({ ...EMPTY_FACETS, waves: [initial.wave] });
+  // what was typed in lb, so the kg round-trip doesn't rewrite "165." or "165.5" mid-typing
+  const [lbText, setLbText] = useState<string|null>(null);
+  const [units, setUnitsState] = useState<Units>(()=> readStored<Units>(UNITS_KEY, "metric")==="imperial" ? "imperial" : "metric");
+  const [profiles, setProfilesState] = useState<RiderProfile[]>(readProfiles);
+  const [activeProfileId, setActiveProfileId] = useState<string|null>(null);
+  const [profileName, setProfileName] = useState("");
+  const [profileWaves, setProfileWaves] = useState<WaveType[]>(()=> [initial.wave]);
+  const activeProfile = profiles.find(p=> p.id===activeProfileId);
+  const sponsorship = useSponsorship();
+  const [announcement, setAnnouncement] = useState("");
+  const compareFocus = useDialogFocusReturn();
+  const similarFocus = useDialogFocusReturn();
+  const setUnits = (u: Units)=>{ setUnitsState(u); setLbText(null); writeStored(UNITS_KEY, u); };
+  const setProfiles = (next: RiderProfile[])=>{ setProfilesState(next); writeStored(PROFILES_KEY, next); };
+  const applyProfile = (p: RiderProfile)=>{
+    setActiveProfileId(p.id); setWeight(p.weightKg); setAbility(p.ability); if(p.waves.length) setProfileWaves(p.waves);
+    if(p.waves.length) setWave(p.waves.includes(wave) ? wave : p.waves[0]);
+    if(p.fitness) setFitness(p.fitness); if(p.ageBand) setAgeBand(p.ageBand); if(p.frequency) setFrequency(p.frequency);
+  };
+  const saveProfile = ()=>{
+    const name = profileName.trim(); const weightKg = Number(weight);
+    if(!name || !(weightKg>0) || !profileWaves.length) return;
+    const existing = profiles.find(p=> p.name.toLowerCase()===name.toLowerCase());
+    // the picked waves replace the saved list, in picker order
+    const waves = WAVE_TYPES.map(w=> w.value).filter(w=> profileWaves.includes(w));
+    const p: RiderProfile = { id: existing?.id || `${Date.now().toString(36)}`, name, weightKg, ability, waves, fitness, ageBand, frequency };
+    setProfiles(existing ? profiles.map(x=> x.id===p.id ? p : x) : [...profiles, p]);
+    setActiveProfileId(p.id); setProfileName("");
+  };
+  const deleteProfile = (id: string)=>{ setProfiles(profiles.filter(p=> p.id!==id)); if(activeProfileId===id) setActiveProfileId(null); };
+  const weightDisplay = weight==="" ? "" : units==="imperial" ? (lbText ?? kgToLb(Number(weight))) : weight;
+  const onWeightInput = (v: string)=>{ setActiveProfileId(null); if(units==="imperial") setLbText(v); setWeight(v==="" ? "" : units==="imperial" ? lbToKg(Number(v)) : v); };
+  // drop the typed lb text once the weight is changed from elsewhere (profile, URL, reset)
+  useEffect(()=>{ if(lbText!==null && (lbText==="" ? weight!=="" : lbToKg(Number(lbText))!==Number(weight))) setLbText(null); }, [weight, lbText]);
+  const [copied, setCopied] = useState(false);
+
+  const applyUrlState = useCallback((st: FinderUrlState)=>{
+    setWeight(st.weight); setAbility(st.ability); setWave(st.wave); setFitness(st.fitness); setAgeBand(st.ageBand); setFrequency(st.frequency);
+    setSort(st.sort); setSelectedShapers(st.shapers); setCompareIds(st.compare); setOpenCompare(st.compareOpen); setQuery(st.query);
+  }, []);
+  const { replaceNext } = useFinderUrlSync({ weight, ability, wave, fitness, ageBand, frequency, sort, shapers: selectedShapers, compare: compareIds, compareOpen: openCompare, query }, applyUrlState);
 
   const [boards, setBoards] = useState<Board[]|null>(null);
+  const [catalogShapers, setCatalogShapers] = useState<Shaper[]|null>(null);
+  const route = useHashRoute();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string|null>(null);
+  const [issues, setIssues] = useState<ValidationIssue[]>([]);
+  const [dataAsOf, setDataAsOf] = useState<string|null>(null);
+  const [origin, setOrigin] = useState<LoadedCatalog["origin"]|null>(null);
 
   useEffect(()=>{
     let cancelled=false;
     async function load(){
-      setIsLoading(true); setError(null);
+      setIsLoading(true); setError(null); setIssues([]); setDataAsOf(null);
       try{
-        const data = DATA_SOURCE === "airtable"
-          ? await (async()=>{ const r=await fetch(AIRTABLE_CSV_URL,{cache:"no-store"}); if(!r.ok) throw new Error(`Airtable ${r.status}`); return parseAirtableCSV(await r.text()); })()
-          : await (async()=>{ const url=normalizeGithubRaw(GITHUB_JSON_URL); const r=await fetch(url,{cache:"no-store"}); if(!r.ok) throw new Error(`GitHub ${r.status}`); return await r.json(); })();
-        if(!cancelled) setBoards(data);
-      }catch(e:any){
-        console.warn("Falling back to local sample:", e?.message);
-        if(!cancelled){ setBoards(FALLBACK_BOARDS); setError(`Using sample data (${DATA_SOURCE} fetch failed)`); }
+        const res = await loadCatalog(DATA_SOURCES.map(createSource));
+        if(res.errors.length) console.warn("Catalog sources failed:", res.errors);
+        if(cancelled) return;
+        setBoards(res.boards); setCatalogShapers(res.shapers || null); setIssues(res.issues); setOrigin(res.origin);
+        if(res.origin==="cache") setDataAsOf(res.fetchedAt);
+        if(res.origin==="fallback") setError("Using sample data (all catalog sources failed)");
       }finally{ if(!cancelled) setIsLoading(false); }
     }
     load();
     return ()=>{cancelled=true};
   },[]);
 
-  const [minV,maxV] = heuristicVolume(Number(weight||0), ability);
-  const enriched = useMemo(()=> (boards||[]).map(b=> ({...b, _score: scoreBoard(b, Number(weight||0), wave, ability)})), [boards, weight, wave, ability]);
+  // A shared link can outlive the boards it names — drop what the catalog no longer has and say so.
+  // Runs on load and whenever the ids change, which covers back/forward (popstate) onto an old link.
+  // Sample data (every source failed) says nothing about the real catalog, so the link is left alone.
+  useEffect(()=>{
+    if(!boards || origin==="fallback") return;
+    const ids = new Set(boards.map(b=>b.id)); const names = new Set(boards.map(b=>b.shaper));
+    const staleBoards = compareIds.filter(id=> !ids.has(id));
+    const staleShapers = selectedShapers.filter(s=> !names.has(s));
+    if(!staleBoards.length && !staleShapers.length) return;
+    replaceNext();
+    if(staleBoards.length) setCompareIds(prev=> prev.filter(id=> ids.has(id)));
+    if(staleShapers.length) setSelectedShapers(prev=> prev.filter(s=> names.has(s)));
+    const parts = [
+      staleBoards.length && `${staleBoards.length} shared board${staleBoards.length===1?" is":"s are"} no longer in the catalog`,
+      staleShapers.length && `unknown shaper${staleShapers.length===1?"":"s"} ${staleShapers.join(", ")} ignored`,
+    ].filter(Boolean);
+    setLinkNotice(parts.join("; "));
+  }, [boards, origin, compareIds, selectedShapers, replaceNext]);
+
+  const copyLink = async ()=>{
+    try{ await navigator.clipboard.writeText(window.location.href); setCopied(true); setTimeout(()=>setCopied(false), 2000); }
+    catch{ window.prompt("Copy this link", window.location.href); }
+  };
+
+  const volume = useMemo(()=> computeVolume({ weightKg: Number(weight||0), ability, fitness, ageBand, wave, frequency }), [weight, ability, fitness, ageBand, wave, frequency]);
+  const [minV,maxV] = volume.range;
+  const enriched = useMemo(()=> (boards||[]).map(b=>{
+    const breakdown = defaultEngine.score(b, { weight: Number(weight||0), wave, ability, units, volumeRange: volume.range });
+    return {...b, _score: breakdown.total, _breakdown: breakdown};
+  }), [boards, weight, wave, ability, units, volume]);
+  const shapers = useMemo(()=> catalogShapers || deriveShapers(boards||[]), [catalogShapers, boards]);
   const allShapers = useMemo(()=> Array.from(new Set(enriched.map(b=>b.shaper))).sort(), [enriched]);
 
+  const [anyLevel, setAnyLevel] = useState(false); // set from the empty-state suggestion; a new ability resets it
+  useEffect(()=>{ setAnyLevel(false); }, [ability]);
+  const filterInput = useMemo<FilterInput>(()=> ({ facets, ability: anyLevel ? null : ability, volumeWindow: [minV - 6, maxV + 6], shapers: selectedShapers }), [facets, ability, anyLevel, minV, maxV, selectedShapers]);
+  const options = useMemo(()=> facetOptions(boards||[]), [boards]);
+  const searchIndex = useMemo(()=> createSearchIndex(boards||[]), [boards]);
+  const hits = useMemo(()=> searchIndex.search(query), [searchIndex, query]);
+  const searched = useMemo(()=> hits ? enriched.filter(b=> hits.has(b.id)) : enriched, [enriched, hits]);
+  const counts = useMemo(()=> facetCounts(searched, filterInput), [searched, filterInput]);
   const filtered = useMemo(()=>{
-    let list = enriched
-      .filter(b=> b.waveTypes.includes(wave))
-      .filter(b=> b.abilities.includes(ability))
-      .filter(b=> b.volume >= minV - 6 && b.volume <= maxV + 6);
-    if(selectedShapers.length) list = list.filter(b=> selectedShapers.includes(b.shaper));
+    const list = filterBoards(searched, filterInput);
     switch (sort){
       case "volume": {
         const target=(minV+maxV)/2; return list.sort((a,b)=> Math.abs(a.volume-target)-Math.abs(b.volume-target));
       }
-      case "sponsored": return list.sort((a,b)=> Number(!!b.sponsored)-Number(!!a.sponsored));
-      default: return list.sort((a,b)=> (b as any)._score - (a as any)._score);
+      default: return rankBest(list, hits);
     }
-  }, [enriched, wave, ability, minV, maxV, sort, selectedShapers]);
+  }, [searched, filterInput, minV, maxV, sort, hits]);
+  const placed = useMemo<Placement<typeof filtered[number]>[]>(()=> sponsorship.enabled ? placeSponsored(filtered, sponsorship.results, CAMPAIGNS.resultSlots) : filtered.map(board=> ({ board })), [filtered, sponsorship.enabled, sponsorship.results]);
+  const hiddenHits = hits ? hits.size - filtered.length : 0;
+  const relax = useMemo(()=> filtered.length ? [] : relaxSuggestions(searched, filterInput, options.volume), [filtered, searched, filterInput, options]);
+  const applyRelax = (key: RelaxSuggestion["key"])=>{
+    if(key==="shapers") return setSelectedShapers([]);
+    if(key==="ability") return setAnyLevel(true);
+    setFacets(f=> ({ ...f, [key]: key==="volume" ? options.volume : key==="lengthIn" ? null : [] }));
+  };
 
   const topPicksByShaper = useMemo(()=>{
     const by = new Map<string, any[]>();
@@ -173,145 +1415,237 @@ export default function SurfboardFinderProCompare(){
     return tops.sort((a,b)=> (b.board as any)._score - (a.board as any)._score);
   }, [filtered]);
 
-  const toggleCompare = (id:string)=> setCompareIds(prev=> prev.includes(id) ? prev.filter(x=>x!==id) : prev.length<4 ? [...prev,id] : prev);
-  const selectedBoards = (boards||[]).filter(b=> compareIds.includes(b.id));
+  // The Quick Finder wave seeds the wave facet; the facet panel can then widen it.
+  useEffect(()=>{ setFacets(f=> f.waves.length===1 && f.waves[0]===wave ? f : { ...f, waves: [wave] }); }, [wave]);
+
+  const toggleCompare = (id:string)=>{
+    const b = enriched.find(x=> x.id===id); const name = b ? `${b.model} by ${b.shaper}` : "Board";
+    if(compareIds.includes(id)) setAnnouncement(`${name} removed from compare`);
+    else setAnnouncement(compareIds.length<4 ? `${name} added to compare (${compareIds.length+1} of 4)` : "Compare holds 4 boards — remove one first");
+    setCompareIds(prev=> prev.includes(id) ? prev.filter(x=>x!==id) : prev.length<4 ? [...prev,id] : prev);
+  };
+  /** Emptying the tray unmounts it, so focus goes back to the results heading instead of falling to <body>. */
+  const clearCompare = ()=>{ setCompareIds([]); setAnnouncement("Compare cleared"); document.getElementById("results-heading")?.focus(); };
+  const removeFromCompare = (id: string)=>{ if(compareIds.length===1 && compareIds[0]===id) return clearCompare(); toggleCompare(id); };
+  const openCompareDialog = ()=>{ compareFocus.remember(); setOpenCompare(true); };
+  const showSimilar = (id: string)=>{ similarFocus.remember(); setSimilarToId(id); };
+  const selectedBoards = enriched.filter(b=> compareIds.includes(b.id));
+  const similarTo = similarToId ? enriched.find(b=> b.id===similarToId) : undefined;
   const toggleShaper = (s:string)=> setSelectedShapers(prev=> prev.includes(s) ? prev.filter(x=>x!==s) : [...prev, s]);
 
   return (
     <div className="min-h-screen bg-white text-neutral-900">
+      <a href="#results" className="sr-only focus:not-sr-only focus:absolute focus:left-4 focus:top-4 focus:z-50 focus:bg-white focus:px-3 focus:py-2 focus:rounded-lg focus:border">Skip to results</a>
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
       <header className="border-b bg-white/80 backdrop-blur supports-[backdrop-filter]:bg-white/60 sticky top-0 z-40">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center justify-between">
           <div className="flex items-center gap-3"><Waves className="h-6 w-6"/><span className="font-semibold tracking-tight">Surfboard Finder</span></div>
-          <nav className="hidden md:flex items-center gap-6 text-sm text-neutral-600">
-            <a className="hover:text-neutral-900" href="#finder">Finder</a>
-            <a className="hover:text-neutral-900" href="#compare">Compare</a>
-            <a className="hover:text-neutral-900" href="#shapers">Shapers</a>
-            <a className="hover:text-neutral-900" href="#articles">Guides</a>
-          </nav>
+          <div className="flex items-center gap-6">
+            <nav className="hidden md:flex items-center gap-6 text-sm text-neutral-600">
+              <a className="hover:text-neutral-900" href="#finder">Finder</a>
+              <a className="hover:text-neutral-900" href="#compare">Compare</a>
+              <a className="hover:text-neutral-900" href="#shapers">Shapers</a>
+              <a className="hover:text-neutral-900" href="#articles">Guides</a>
+            </nav>
+            <UnitsToggle units={units} setUnits={setUnits}/>
+          </div>
         </div>
       </header>
 
-      {/* Finder */}
-      <section id="finder" className="relative overflow-hidden">
-        <motion.div initial={{opacity:0,y:12}} animate={{opacity:1,y:0}} transition={{duration:0.6}} className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10">
-          <div className="grid lg:grid-cols-4 gap-8 items-start">
-            <div className="lg:col-span-3">
-              <Card className="border-0 shadow-none">
-                <CardHeader className="p-0 pb-6"><TopBannerAd/></CardHeader>
-                <CardContent className="p-0 pt-6">
-                  <div className="grid md:grid-cols-2 gap-8 items-center">
-                    <div>
-                      <h1 className="text-3xl md:text-5xl font-semibold tracking-tight leading-tight">Compare shapers’ <span className="underline decoration-neutral-300">top recommendations</span></h1>
-                      <p className="mt-4 text-neutral-600 max-w-prose">Enter your weight, wave type, and ability. We’ll compute best matches and show each shaper’s top pick so you can compare across brands — fast.</p>
+      {route.kind==="home" ? (<>
+        {/* Finder */}
+        <section id="finder" className="relative overflow-hidden">
+          <motion.div initial={{opacity:0,y:12}} animate={{opacity:1,y:0}} transition={{duration:0.6}} className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10">
+            <div className="grid lg:grid-cols-4 gap-8 items-start">
+              <div className="lg:col-span-3">
+                <Card className="border-0 shadow-none">
+                  <CardHeader className="p-0 pb-6"><TopBannerAd campaign={sponsorship.topBanner}/></CardHeader>
+                  <CardContent className="p-0 pt-6">
+                    <div className="grid md:grid-cols-2 gap-8 items-center">
+                      <div>
+                        <h1 className="text-3xl md:text-5xl font-semibold tracking-tight leading-tight">Compare shapers’ <span className="underline decoration-neutral-300">top recommendations</span></h1>
+                        <p className="mt-4 text-neutral-600 max-w-prose">Enter your weight, wave type, and ability. We’ll compute best matches and show each shaper’s top pick so you can compare across brands — fast.</p>
+                      </div>
+                      <div>
+                        <Card className="rounded-2xl border-neutral-200">
+                          <CardHeader className="pb-2"><CardTitle className="text-base font-medium flex items-center gap-2"><SlidersHorizontal className="h-4 w-4"/>Quick Finder</CardTitle></CardHeader>
+                          <CardContent className="grid gap-4">
+                            <ProfileBar profiles={profiles} activeId={activeProfileId} onApply={applyProfile} onDelete={deleteProfile} name={profileName} setName={setProfileName} waves={profileWaves} setWaves={setProfileWaves} onSave={saveProfile}/>
+                            <div className="grid gap-2"><Label htmlFor="weight">Weight ({units==="imperial"? "lb" : "kg"})</Label><Input id="weight" type="number" step="any" min={units==="imperial"? kgToLb(35) : 35} max={units==="imperial"? kgToLb(130) : 130} value={weightDisplay} onChange={(e)=>onWeightInput(e.target.value)} /><p className="text-xs text-neutral-500">Suggested volume: <strong>{minV}–{maxV} L</strong></p></div>
+                            <div className="grid gap-2"><Label htmlFor="wave">Wave Type</Label>
+                              <Select value={wave} onValueChange={(v:WaveType)=>setWave(v)}>
+                                <SelectTrigger id="wave"><SelectValue placeholder="Select wave"/></SelectTrigger>
+                                <SelectContent>{WAVE_TYPES.map(w=> <SelectItem key={w.value} value={w.value}>{w.label}</SelectItem>)}</SelectContent>
+                              </Select>
+                            </div>
+                            <div className="grid gap-2"><Label htmlFor="ability">Ability</Label>
+                              <Select value={ability} onValueChange={(v:Ability)=>setAbility(v)}>
+                                <SelectTrigger id="ability"><SelectValue placeholder="Select ability"/></SelectTrigger>
+                                <SelectContent>{ABILITIES.map(a=> <SelectItem key={a.value} value={a.value}>{a.label}</SelectItem>)}</SelectContent>
+                              </Select>
+                            </div>
+                            <details className="text-sm">
+                              <summary className="cursor-pointer text-neutral-600">Refine volume</summary>
+                              <div className="grid grid-cols-3 gap-3 mt-3">
+                                <div className="grid gap-2"><Label htmlFor="fitness">Fitness</Label>
+                                  <Select value={fitness} onValueChange={(v:Fitness)=>setFitness(v)}>
+                                    <SelectTrigger id="fitness"><SelectValue/></SelectTrigger>
+                                    <SelectContent>{FITNESS_OPTIONS.map(o=> <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}</SelectContent>
+                                  </Select>
+                                </div>
+                                <div className="grid gap-2"><Label htmlFor="age-band">Age</Label>
+                                  <Select value={ageBand} onValueChange={(v:AgeBand)=>setAgeBand(v)}>
+                                    <SelectTrigger id="age-band"><SelectValue/></SelectTrigger>
+                                    <SelectContent>{AGE_BANDS.map(o=> <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}</SelectContent>
+                                  </Select>
+                                </div>
+                                <div className="grid gap-2"><Label htmlFor="frequency">Surf</Label>
+                                  <Select value={frequency} onValueChange={(v:SurfFrequency)=>setFrequency(v)}>
+                                    <SelectTrigger id="frequency"><SelectValue/></SelectTrigger>
+                                    <SelectContent>{SURF_FREQUENCIES.map(o=> <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}</SelectContent>
+                                  </Select>
+                                </div>
+                              </div>
+                              <ul className="mt-3 text-xs text-neutral-500 list-disc pl-4 space-y-0.5">{volume.reasons.map(r=> <li key={r}>{r}</li>)}</ul>
+                            </details>
+                            <div className="relative">
+                              <Search className="h-4 w-4 absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400"/>
+                              <Input className="pl-9" type="search" aria-label="Search boards" placeholder="Search boards — e.g. ghost, firewire seaside" value={query} onChange={(e:any)=>setQuery(e.target.value)} onKeyDown={(e:any)=>{ if(e.key==="Enter") document.getElementById('results')?.scrollIntoView({behavior:'smooth'}); }} />
+                            </div>
+                            <div className="flex items-center gap-3">
+                              <SortSelect sort={sort} setSort={setSort}/>
+                              <Button className="flex-1" onClick={()=>{ document.getElementById('results')?.scrollIntoView({behavior:'smooth'}); }}><Search className="h-4 w-4 mr-2"/>Find matches</Button>
+                            </div>
+                          </CardContent>
+                        </Card>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </div>
+              <aside className="hidden lg:block"><SidebarAd campaign={sponsorship.sidebar}/></aside>
+            </div>
+          </motion.div>
+        </section>
+
+        {/* Results */}
+        <section id="results" className="border-t">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 grid lg:grid-cols-4 gap-8">
+            <div className="lg:col-span-3 space-y-6">
+              {error && <div className="text-xs text-amber-600">{error}</div>}
+              {linkNotice && <div className="text-xs text-amber-600 flex items-center gap-2">{linkNotice}<button className="underline" onClick={()=>setLinkNotice(null)}>Dismiss</button></div>}
+              {dataAsOf && <div className="text-xs text-neutral-500">Offline — data as of {new Date(dataAsOf).toLocaleString()}</div>}
+              {issues.length>0 && <DataIssuesPanel issues={issues}/>}
+
+              <div className="flex items-center justify-between gap-4 flex-wrap">
+                <h2 id="results-heading" tabIndex={-1} className="text-xl font-semibold tracking-tight flex items-center gap-2 outline-none"><Sparkles className="h-5 w-5"/>Recommendations</h2>
+                <div className="text-sm text-neutral-500" role="status" aria-live="polite" aria-atomic="true">{isLoading? "Loading…" : `${filtered.length} matches · ${topPicksByShaper.length} shapers`}{hits && !isLoading && <> for “{query.trim()}” <button className="underline" onClick={()=>setQuery("")}>clear</button></>}</div>
+              </div>
+              <label className="flex items-center gap-2 text-xs text-neutral-500"><input type="checkbox" className="accent-black" checked={sponsorship.enabled} onChange={(e)=>sponsorship.setEnabled(e.target.checked)}/>Sponsored placements in All Matches (labelled; never changes scores)</label>
+
+              {anyLevel && <div className="text-xs text-neutral-500 flex items-center gap-2">Showing boards for every level, not just {ABILITIES.find(a=> a.value===ability)?.label.toLowerCase()}.<button className="underline" onClick={()=>setAnyLevel(false)}>Only my level</button></div>}
+              {hiddenHits>0 && <div className="text-xs text-neutral-500">{hiddenHits} more board{hiddenHits===1?"":"s"} match{hiddenHits===1?"es":""} “{query.trim()}” but {hiddenHits===1?"is":"are"} hidden by your filters.</div>}
+              <FacetPanel facets={facets} setFacets={setFacets} options={options} counts={counts} units={units}/>
+
+              {/* Shaper chips */}
+              <div className="flex gap-2 flex-wrap" role="group" aria-label="Filter by shaper">
+                {allShapers.map(s=> (
+                  <button key={s} aria-pressed={selectedShapers.includes(s)} onClick={()=>toggleShaper(s)} className={`px-3 py-1 rounded-full border text-sm ${selectedShapers.includes(s)? 'bg-black text-white border-black' : 'hover:bg-neutral-50'}`}>{s}</button>
+                ))}
+                {selectedShapers.length>0 && <button aria-label="Clear shaper filter" onClick={()=>setSelectedShapers([])} className="px-3 py-1 rounded-full border text-sm hover:bg-neutral-50">Clear</button>}
+              </div>
+
+              <Tabs defaultValue="top">
+                <TabsList>
+                  <TabsTrigger value="top">Top Picks by Shaper</TabsTrigger>
+                  <TabsTrigger value="all">All Matches</TabsTrigger>
+                  <TabsTrigger value="quiver">Quiver Builder</TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="top">
+                  {isLoading ? <SkeletonGrid/> : topPicksByShaper.length ? (
+                    <div className="grid sm:grid-cols-2 gap-6">
+                      {topPicksByShaper.map(({shaper, board})=> (
+                        <BoardCard key={board.id} board={board} compareIds={compareIds} toggleCompare={toggleCompare} badgeLeft={`${shaper} · Top Pick`} score={Math.round((board as any)._score)} breakdown={board._breakdown} units={units} onShowSimilar={showSimilar} />
+                      ))}
                     </div>
-                    <div>
-                      <Card className="rounded-2xl border-neutral-200">
-                        <CardHeader className="pb-2"><CardTitle className="text-base font-medium flex items-center gap-2"><SlidersHorizontal className="h-4 w-4"/>Quick Finder</CardTitle></CardHeader>
-                        <CardContent className="grid gap-4">
-                          <div className="grid gap-2"><Label htmlFor="weight">Weight (kg)</Label><Input id="weight" type="number" min={35} max={130} value={weight} onChange={(e)=>setWeight(e.target.value)} /><p className="text-xs text-neutral-500">Suggested volume: <strong>{minV}–{maxV} L</strong></p></div>
-                          <div className="grid gap-2"><Label>Wave Type</Label>
-                            <Select value={wave} onValueChange={(v:WaveType)=>setWave(v)}>
-                              <SelectTrigger><SelectValue placeholder="Select wave"/></SelectTrigger>
-                              <SelectContent>{WAVE_TYPES.map(w=> <SelectItem key={w.value} value={w.value}>{w.label}</SelectItem>)}</SelectContent>
-                            </Select>
-                          </div>
-                          <div className="grid gap-2"><Label>Ability</Label>
-                            <Select value={ability} onValueChange={(v:Ability)=>setAbility(v)}>
-                              <SelectTrigger><SelectValue placeholder="Select ability"/></SelectTrigger>
-                              <SelectContent>{ABILITIES.map(a=> <SelectItem key={a.value} value={a.value}>{a.label}</SelectItem>)}</SelectContent>
-                            </Select>
-                          </div>
-                          <div className="flex items-center gap-3">
-                            <SortSelect sort={sort} setSort={setSort}/>
-                            <Button className="flex-1" onClick={()=>{ document.getElementById('results')?.scrollIntoView({behavior:'smooth'}); }}><Search className="h-4 w-4 mr-2"/>Find matches</Button>
-                          </div>
-                        </CardContent>
-                      </Card>
+                  ) : <EmptyState suggestions={relax} onRelax={applyRelax}/>}
+                </TabsContent>
+
+                <TabsContent value="all">
+                  {isLoading ? <SkeletonGrid/> : filtered.length ? (
+                    <div className="grid sm:grid-cols-2 gap-6">
+                      {placed.map(({board: b, campaign})=> (
+                        <BoardCard key={b.id} board={b} campaign={campaign} compareIds={compareIds} toggleCompare={toggleCompare} score={Math.round((b as any)._score)} breakdown={b._breakdown} units={units} onShowSimilar={showSimilar} />
+                      ))}
                     </div>
-                  </div>
-                </CardContent>
-              </Card>
+                  ) : <EmptyState suggestions={relax} onRelax={applyRelax}/>}
+                </TabsContent>
+
+                <TabsContent value="quiver">
+                  {isLoading ? <SkeletonGrid/> : <QuiverBuilder key={activeProfile?.id} catalog={boards||[]} rider={{ weightKg: Number(weight||0), ability, fitness, ageBand, frequency }} initialWaves={activeProfile?.waves.length ? activeProfile.waves : [wave]} units={units} onCompare={(ids)=>{ setCompareIds(ids.slice(0, 4)); openCompareDialog(); }}/>}
+                </TabsContent>
+              </Tabs>
+
+              <InFeedAd campaign={sponsorship.inFeed}/>
             </div>
-            <aside className="hidden lg:block"><SidebarAd/></aside>
+            <aside className="hidden lg:block"><SidebarAd campaign={sponsorship.sidebar}/></aside>
           </div>
-        </motion.div>
-      </section>
-
-      {/* Results */}
-      <section id="results" className="border-t">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 grid lg:grid-cols-4 gap-8">
-          <div className="lg:col-span-3 space-y-6">
-            {error && <div className="text-xs text-amber-600">{error}</div>}
-
-            <div className="flex items-center justify-between gap-4 flex-wrap">
-              <h2 className="text-xl font-semibold tracking-tight flex items-center gap-2"><Sparkles className="h-5 w-5"/>Recommendations</h2>
-              <div className="text-sm text-neutral-500">{isLoading? "Loading…" : `${filtered.length} matches · ${topPicksByShaper.length} shapers`}</div>
-            </div>
-
-            {/* Shaper chips */}
-            <div className="flex gap-2 flex-wrap">
-              {allShapers.map(s=> (
-                <button key={s} onClick={()=>toggleShaper(s)} className={`px-3 py-1 rounded-full border text-sm ${selectedShapers.includes(s)? 'bg-black text-white border-black' : 'hover:bg-neutral-50'}`}>{s}</button>
+        </section>
+        {/* Shapers */}
+        <section id="shapers" className="border-t">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 space-y-4">
+            <h2 className="text-xl font-semibold tracking-tight">Shapers</h2>
+            <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+              {shapers.map(sh=> (
+                <a key={sh.id} href={shaperHref(sh.id)} className="border rounded-2xl p-4 hover:bg-neutral-50">
+                  <div className="font-medium">{sh.name}</div>
+                  <div className="text-sm text-neutral-500">{sh.country || "—"} · {(boards||[]).filter(b=> shaperIdOf(b)===sh.id).length} models</div>
+                </a>
               ))}
-              {selectedShapers.length>0 && <button onClick={()=>setSelectedShapers([])} className="px-3 py-1 rounded-full border text-sm hover:bg-neutral-50">Clear</button>}
             </div>
-
-            <Tabs defaultValue="top">
-              <TabsList>
-                <TabsTrigger value="top">Top Picks by Shaper</TabsTrigger>
-                <TabsTrigger value="all">All Matches</TabsTrigger>
-              </TabsList>
-
-              <TabsContent value="top">
-                {isLoading ? <SkeletonGrid/> : topPicksByShaper.length ? (
-                  <div className="grid sm:grid-cols-2 gap-6">
-                    {topPicksByShaper.map(({shaper, board})=> (
-                      <BoardCard key={board.id} board={board} compareIds={compareIds} toggleCompare={toggleCompare} badgeLeft={`${shaper} · Top Pick`} score={Math.round((board as any)._score)} />
-                    ))}
-                  </div>
-                ) : <EmptyState/>}
-              </TabsContent>
-
-              <TabsContent value="all">
-                {isLoading ? <SkeletonGrid/> : filtered.length ? (
-                  <div className="grid sm:grid-cols-2 gap-6">
-                    {filtered.map((b)=> (
-                      <BoardCard key={b.id} board={b} compareIds={compareIds} toggleCompare={toggleCompare} score={Math.round((b as any)._score)} />
-                    ))}
-                  </div>
-                ) : <EmptyState/>}
-              </TabsContent>
-            </Tabs>
-
-            <InFeedAd/>
           </div>
-          <aside className="hidden lg:block"><SidebarAd/></aside>
-        </div>
-      </section>
+        </section>
+      </>) : (
+        route.kind==="admin" ? <CatalogEditor/> : <RouteView route={route} boards={enriched} shapers={shapers} isLoading={isLoading} compareIds={compareIds} toggleCompare={toggleCompare} units={units} riderKg={Number(weight)||undefined} onShowSimilar={showSimilar}/>
+      )}
 
       {/* Compare Drawer */}
       <AnimatePresence>
         {compareIds.length>0 && (
-          <motion.div initial={{y:100,opacity:0}} animate={{y:0,opacity:1}} exit={{y:100,opacity:0}} transition={{type:"spring",stiffness:260,damping:25}} className="fixed bottom-4 left-0 right-0 z-50">
+          <motion.div role="region" aria-label="Compare tray" initial={{y:100,opacity:0}} animate={{y:0,opacity:1}} exit={{y:100,opacity:0}} transition={{type:"spring",stiffness:260,damping:25}} className="fixed bottom-4 left-0 right-0 z-50">
             <div className="max-w-4xl mx-auto bg-white border shadow-xl rounded-2xl p-3 md:p-4 flex items-center gap-3">
-              <ComparePreview compareIds={compareIds} boards={boards||[]} onRemove={(id)=> setCompareIds(prev=>prev.filter(x=>x!==id))} />
+              <ComparePreview compareIds={compareIds} boards={boards||[]} onRemove={removeFromCompare} />
               <div className="flex items-center gap-2">
-                <Button variant="secondary" onClick={()=>setCompareIds([])}>Clear</Button>
-                <Button onClick={()=>setOpenCompare(true)}>Open Compare ({compareIds.length})</Button>
+                <Button variant="secondary" onClick={clearCompare}>Clear</Button>
+                <Button variant="secondary" onClick={copyLink}><Link2 className="h-4 w-4 mr-2"/>{copied? "Copied!" : "Copy link"}</Button>
+                <Button aria-haspopup="dialog" onClick={openCompareDialog}>Open Compare ({compareIds.length})</Button>
               </div>
             </div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {/* Similar boards */}
+      <Dialog open={!!similarTo} onOpenChange={(o:boolean)=>{ if(!o) setSimilarToId(null); }}>
+        <DialogContent className="max-w-2xl" onCloseAutoFocus={similarFocus.onCloseAutoFocus}>
+          <DialogHeader>
+            <DialogTitle>Similar to {similarTo?.model}</DialogTitle>
+            <DialogDescription>Closest equivalents on volume, length, tail, fins, waves and ability.</DialogDescription>
+          </DialogHeader>
+          {similarTo && <SimilarBoardsPanel target={similarTo} catalog={enriched} compareIds={compareIds} toggleCompare={toggleCompare} units={units}/>}
+        </DialogContent>
+      </Dialog>
+
       {/* Compare modal */}
       <Dialog open={openCompare} onOpenChange={setOpenCompare}>
-        <DialogContent className="max-w-5xl">
+        <DialogContent className="max-w-5xl" onCloseAutoFocus={compareFocus.onCloseAutoFocus}>
           <DialogHeader>
             <DialogTitle>Compare Boards</DialogTitle>
             <DialogDescription>Up to four boards, side by side.</DialogDescription>
           </DialogHeader>
-          <CompareTable boards={selectedBoards as any} />
+          <CompareTable boards={selectedBoards} units={units} targetVolume={volume.target} riderKg={Number(weight)||undefined} />
+          {selectedBoards.length>0 && <CompareSimilar boards={selectedBoards} catalog={enriched} compareIds={compareIds} toggleCompare={toggleCompare} units={units}/>}
         </DialogContent>
       </Dialog>
 
@@ -335,6 +1669,7 @@ export default function SurfboardFinderProCompare(){
               <li><a className="hover:text-neutral-900" href="#">About</a></li>
               <li><a className="hover:text-neutral-900" href="#">Contact</a></li>
               <li><a className="hover:text-neutral-900" href="#">Guides</a></li>
+              <li><a className="hover:text-neutral-900" href="#/admin">Edit catalog</a></li>
             </ul>
           </div>
         </div>
@@ -343,27 +1678,68 @@ export default function SurfboardFinderProCompare(){
   );
 }
 
-function SortSelect({sort, setSort}:{sort:"best"|"volume"|"sponsored"; setSort:(v:any)=>void}){
+function UnitsToggle({ units, setUnits }: { units: Units; setUnits: (u: Units)=>void }){
+  return (
+    <div className="flex items-center rounded-full border text-xs overflow-hidden" role="group" aria-label="Units">
+      {(["metric","imperial"] as const).map(u=> (
+        <button key={u} aria-pressed={units===u} onClick={()=>setUnits(u)} className={`px-3 py-1 ${units===u? "bg-black text-white" : "hover:bg-neutral-50"}`}>{u==="metric"? "kg · cm" : "lb · ft"}</button>
+      ))}
+    </div>
+  );
+}
+
+/** `waves` are the preferred waves the next save stores (the quiver starts from them). */
+function ProfileBar({ profiles, activeId, onApply, onDelete, name, setName, waves, setWaves, onSave }: { profiles: RiderProfile[]; activeId: string|null; onApply: (p: RiderProfile)=>void; onDelete: (id: string)=>void; name: string; setName: (v: string)=>void; waves: WaveType[]; setWaves: (w: WaveType[])=>void; onSave: ()=>void }){
+  const toggle = (w: WaveType)=> setWaves(waves.includes(w) ? waves.filter(x=> x!==w) : [...waves, w]);
+  return (
+    <div className="grid gap-2">
+      {profiles.length>0 && (
+        <div className="flex gap-2 flex-wrap">
+          {profiles.map(p=> (
+            <span key={p.id} className={`flex items-center gap-1 pl-3 pr-1 py-1 rounded-full border text-sm ${p.id===activeId? "bg-black text-white border-black" : ""}`}>
+              <button aria-pressed={p.id===activeId} onClick={()=>onApply(p)}>{p.name}</button>
+              <button className="opacity-60 hover:opacity-100" aria-label={`Delete profile ${p.name}`} onClick={()=>onDelete(p.id)}><X className="h-3 w-3"/></button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex gap-2">
+        <Input aria-label="Profile name" placeholder="Profile name (e.g. me)" value={name} onChange={(e:any)=>setName(e.target.value)} onKeyDown={(e:any)=>{ if(e.key==="Enter") onSave(); }} />
+        <Button variant="secondary" onClick={onSave} disabled={!name.trim() || !waves.length}>Save profile</Button>
+      </div>
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        <span className="text-neutral-600">Preferred waves</span>
+        <div className="flex gap-1 flex-wrap" role="group" aria-label="Preferred waves">
+          {WAVE_TYPES.map(w=> <button key={w.value} aria-pressed={waves.includes(w.value)} onClick={()=>toggle(w.value)} className={`px-2 py-0.5 rounded-full border ${waves.includes(w.value)? "bg-black text-white border-black" : "hover:bg-neutral-50"}`}>{w.label}</button>)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SortSelect({sort, setSort}:{sort:SortMode; setSort:(v:any)=>void}){
   return (
     <div className="flex items-center gap-2 text-sm">
       <span className="text-neutral-600">Sort</span>
       <Select value={sort} onValueChange={(v)=>setSort(v)}>
-        <SelectTrigger className="w-40"><SelectValue placeholder="Best match"/></SelectTrigger>
+        <SelectTrigger className="w-40" aria-label="Sort results"><SelectValue placeholder="Best match"/></SelectTrigger>
         <SelectContent>
           <SelectItem value="best">Best match</SelectItem>
           <SelectItem value="volume">Volume closest</SelectItem>
-          <SelectItem value="sponsored">Sponsored first</SelectItem>
         </SelectContent>
       </Select>
     </div>
   );
 }
 
-function BoardCard({ board: b, compareIds, toggleCompare, badgeLeft, score }: { board: Board; compareIds: string[]; toggleCompare: (id: string) => void; badgeLeft?: string; score?: number }) {
+/** `campaign` is set only for paid placements (see placeSponsored), never from the catalog flag. */
+function BoardCard({ board: b, compareIds, toggleCompare, badgeLeft, score, breakdown, units = "metric", onShowSimilar, campaign }: { board: Board; compareIds: string[]; toggleCompare: (id: string) => void; badgeLeft?: string; score?: number; breakdown?: ScoreBreakdown; units?: Units; onShowSimilar?: (id: string) => void; campaign?: Campaign }) {
+  const impressionRef = useImpression<HTMLDivElement>(campaign?.id);
+  const sponsoredBy = campaign?.advertiser;
   return (
-    <Card className={`rounded-2xl overflow-hidden border ${b.sponsored ? 'ring-1 ring-amber-300' : ''}`}>
+    <Card ref={impressionRef} className={`rounded-2xl overflow-hidden border ${sponsoredBy ? 'ring-1 ring-amber-300' : ''}`}>
       <div className="relative">
-        <img src={b.img} alt={`${b.model} by ${b.shaper}`} className="h-44 w-full object-cover"/>
+        <BoardImage board={b} className="h-44 w-full object-cover"/>
         {badgeLeft && (<div className="absolute left-3 top-3"><Badge>{badgeLeft}</Badge></div>)}
       </div>
       <CardContent className="p-4 space-y-3">
@@ -374,23 +1750,30 @@ function BoardCard({ board: b, compareIds, toggleCompare, badgeLeft, score }: {
           </div>
           <div className="flex items-center gap-2">
             {typeof score === 'number' && <Badge variant="outline">Score {score}</Badge>}
-            {b.sponsored && (
-              <Badge variant="secondary" className="shrink-0 flex items-center gap-1"><Star className="h-3 w-3"/> Sponsored</Badge>
+            {sponsoredBy && (
+              <Badge variant="secondary" className="shrink-0 flex items-center gap-1" title={`Paid placement by ${sponsoredBy}`}><Star className="h-3 w-3"/> Sponsored</Badge>
             )}
           </div>
         </div>
         <div className="grid grid-cols-2 gap-3 text-sm">
-          <Spec label="Length" value={b.length} icon={Ruler} />
+          <Spec label="Length" value={formatLength(b, units)} icon={Ruler} />
           <Spec label="Volume" value={`${b.volume} L`} icon={Layers} />
           <Spec label="Tail" value={b.tail} icon={Columns2} />
           <Spec label="Fins" value={b.fins} icon={PlusSquare} />
         </div>
+        {breakdown && (
+          <details className="text-sm">
+            <summary className="cursor-pointer text-neutral-600">Why this score?</summary>
+            <ScoreBreakdownList breakdown={breakdown}/>
+          </details>
+        )}
         <div className="flex items-center justify-between">
           <div className="flex flex-wrap gap-2">{b.waveTypes.map(w=> <Badge key={w} variant="outline">{WAVE_TYPES.find(x=>x.value===w)?.label}</Badge>)}</div>
-          <label className="flex items-center gap-2 text-sm"><input type="checkbox" className="accent-black" checked={compareIds.includes(b.id)} onChange={()=>toggleCompare(b.id)} />Compare</label>
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" className="accent-black" checked={compareIds.includes(b.id)} onChange={()=>toggleCompare(b.id)} />Compare<span className="sr-only"> {b.model} by {b.shaper}</span></label>
         </div>
         <div className="flex gap-2">
-          <Button variant="secondary" className="w-full">View Details</Button>
+          <Button variant="secondary" className="w-full" onClick={()=>{ window.location.hash = boardHref(b.id); }}>View Details</Button>
+          {onShowSimilar && <Button variant="secondary" className="w-full" onClick={()=>onShowSimilar(b.id)}>Similar boards</Button>}
           <Button className="w-full">Buy / Where to Get</Button>
         </div>
       </CardContent>
@@ -398,58 +1781,603 @@ function BoardCard({ board: b, compareIds, toggleCompare, badgeLeft, score }: {
   );
 }
 
+/** Removing a board moves focus to the next remove button so keyboard users can keep clearing the tray. */
 function ComparePreview({ compareIds, boards, onRemove }: { compareIds: string[]; boards: Board[]; onRemove: (id: string) => void }){
   const selected = boards.filter(b=> compareIds.includes(b.id));
+  const listRef = useRef<HTMLUListElement>(null);
+  const remove = (id: string, i: number)=>{
+    onRemove(id);
+    if(selected.length>1) requestAnimationFrame(()=>{ const btns = listRef.current?.querySelectorAll<HTMLButtonElement>("button[data-remove]"); if(btns?.length) btns[Math.min(i, btns.length-1)].focus(); });
+  };
   return (
-    <div className="flex-1 flex items-center gap-2 overflow-x-auto">
-      {selected.map(b=> (
-        <div key={b.id} className="flex items-center gap-2 bg-neutral-50 border rounded-xl px-3 py-2">
-          <img src={b.img} alt={b.model} className="h-10 w-16 object-cover rounded" />
+    <ul ref={listRef} aria-label="Boards to compare" className="flex-1 flex items-center gap-2 overflow-x-auto">
+      {selected.map((b,i)=> (
+        <li key={b.id} className="flex items-center gap-2 bg-neutral-50 border rounded-xl px-3 py-2">
+          <BoardImage board={b} decorative className="h-10 w-16 object-cover rounded"/>
           <div className="text-sm"><div className="font-medium leading-tight">{b.model}</div><div className="text-neutral-500 leading-tight">{b.shaper}</div></div>
-          <button className="ml-2" onClick={()=>onRemove(b.id)}><X className="h-4 w-4"/></button>
-        </div>
+          <button className="ml-2" data-remove aria-label={`Remove ${b.model} by ${b.shaper} from compare`} onClick={()=>remove(b.id, i)}><X className="h-4 w-4"/></button>
+        </li>
       ))}
-    </div>
+    </ul>
+  );
+}
+
+/** Board photo, or the generated placeholder when the catalog has none or the URL fails to load. */
+export function BoardImage({ board: b, className, decorative }: { board: Board; className: string; decorative?: boolean }){
+  const [failed, setFailed] = useState(false);
+  useEffect(()=> setFailed(false), [b.img]);
+  const src = !failed && hasPhoto(b) ? b.img : placeholderImage(b);
+  return <img src={src} alt={decorative ? "" : `${b.model} by ${b.shaper}`} className={className} loading="lazy" onError={()=> setFailed(true)}/>;
+}
+
+const fmtPoints = (n:number)=> `${n>=0?"+":""}${round1(n)}`;
+function ScoreBreakdownList({ breakdown }: { breakdown: ScoreBreakdown }){
+  return (
+    <ul className="mt-2 space-y-1 text-neutral-700">
+      <li className="flex justify-between"><span>Base</span><span>{breakdown.base}</span></li>
+      {breakdown.factors.map(f=> (
+        <li key={f.key} className="flex justify-between gap-3"><span>{f.label} <span className="text-neutral-500">· {f.detail}</span></span><span className={f.points<0? "text-red-600" : "text-emerald-700"}>{fmtPoints(f.points)}</span></li>
+      ))}
+      <li className="flex justify-between border-t pt-1 font-medium"><span>Total</span><span>{Math.round(breakdown.total)}</span></li>
+    </ul>
   );
 }
 
-function CompareTable({ boards }: { boards: (Board & { _score?: number })[] }){
+function CompareTable({ boards, units = "metric", targetVolume, riderKg }: { boards: CompareBoard[]; units?: Units; targetVolume?: number; riderKg?: number }){
+  const [baselineId, setBaselineId] = useState<string>("");
+  const [hideSame, setHideSame] = useState(false);
+  const baseline = boards.some(b=> b.id===baselineId) ? baselineId : "";
+  const rows = useMemo(()=> buildComparison(boards, { units, targetVolume, riderKg, baselineId: baseline || undefined }), [boards, units, targetVolume, riderKg, baseline]);
   if(!boards.length) return <div className="text-sm text-neutral-600">No boards selected yet.</div>;
+  const visible = hideSame && boards.length>1 ? rows.filter(r=> !r.identical) : rows;
+  const print = ()=>{ const w = window.open("", "_blank"); if(!w) return; w.document.write(comparisonToPrintHtml(boards, visible)); w.document.close(); w.focus(); w.print(); };
   return (
-    <div className="overflow-x-auto">
-      <table className="min-w-full text-sm">
-        <thead>
-          <tr className="text-left text-neutral-500"><th className="p-3">Spec</th>{boards.map(b=> <th key={b.id} className="p-3">{b.shaper} – {b.model}</th>)}</tr>
-        </thead>
-        <tbody>
-          {[
-            { k: "length", label: "Length" },
-            { k: "volume", label: "Volume (L)" },
-            { k: "tail", label: "Tail" },
-            { k: "fins", label: "Fin Setup" },
-            { k: "construction", label: "Construction" },
-          ].map(row=> (
-            <tr key={row.k} className="border-t"><td className="p-3 font-medium">{row.label}</td>{boards.map(b=> <td key={b.id+row.k} className="p-3">{String((b as any)[row.k])}</td>)}</tr>
+    <div className="space-y-3">
+      <div className="flex items-center gap-4 flex-wrap text-sm">
+        <div className="flex items-center gap-2">
+          <span className="text-neutral-600">Baseline</span>
+          <Select value={baseline || "none"} onValueChange={(v:string)=>setBaselineId(v==="none" ? "" : v)}>
+            <SelectTrigger className="w-56" aria-label="Baseline board"><SelectValue/></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">No baseline</SelectItem>
+              {boards.map(b=> <SelectItem key={b.id} value={b.id}>{b.shaper} – {b.model}</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </div>
+        <label className="flex items-center gap-2"><input type="checkbox" className="accent-black" checked={hideSame} onChange={(e)=>setHideSame(e.target.checked)}/>Hide identical rows</label>
+        <div className="ml-auto flex items-center gap-2">
+          <Button variant="secondary" onClick={()=>downloadText("board-comparison.csv", comparisonToCSV(boards, visible))}><Download className="h-4 w-4 mr-2"/>CSV</Button>
+          <Button variant="secondary" onClick={print}><Printer className="h-4 w-4 mr-2"/>Print</Button>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-neutral-500"><th className="p-3">Spec</th>{boards.map(b=> <th key={b.id} className={`p-3 ${b.id===baseline? "text-neutral-900" : ""}`}>{b.shaper} – {b.model}{b.id===baseline && <span className="ml-1 text-xs font-normal">(baseline)</span>}</th>)}</tr>
+          </thead>
+          <tbody>
+            {visible.map(row=> (
+              <tr key={row.key} className={`border-t ${row.key.startsWith("factor:")? "text-neutral-600" : ""}`}>
+                <td className={`p-3 ${row.key.startsWith("factor:")? "pl-6" : "font-medium"}`}>{row.label}</td>
+                {row.cells.map((c,i)=> (
+                  <td key={boards[i].id+row.key} className={`p-3 ${c.mark==="best"? "bg-emerald-50 font-semibold text-emerald-800" : c.mark==="worst"? "text-red-600" : ""}`}>
+                    {c.href ? <a className="underline hover:text-neutral-900" href={c.href} target="_blank" rel="noreferrer">{c.text}</a> : c.text}
+                    {c.delta && <span className="ml-1 text-xs text-neutral-500">({c.delta})</span>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function FacetPanel({ facets, setFacets, options, counts, units }: { facets: FacetState; setFacets: (fn: (f: FacetState)=>FacetState)=>void; options: ReturnType<typeof facetOptions>; counts: ReturnType<typeof facetCounts>; units: Units }){
+  const toggle = <K extends ListFacet>(key: K, v: FacetState[K][number])=> setFacets(f=>{ const cur = f[key] as string[]; return { ...f, [key]: cur.includes(v) ? cur.filter(x=> x!==v) : [...cur, v] }; });
+  const groups: { key: ListFacet; label: string; values: { value: string; label: string }[] }[] = [
+    { key: "waves", label: "Waves", values: WAVE_TYPES.map(w=> ({ value: w.value, label: w.label })) },
+    { key: "tails", label: "Tail", values: options.tails.map(v=> ({ value: v, label: v })) },
+    { key: "fins", label: "Fins", values: options.fins.map(v=> ({ value: v, label: v })) },
+    { key: "constructions", label: "Construction", values: options.constructions.map(v=> ({ value: v, label: v })) },
+  ];
+  const vol = facets.volume; const len = facets.lengthIn || options.lengthIn;
+  const fmtLen = (n:number)=> formatLength({ length: "", lengthIn: n }, units);
+  return (
+    <details className="border rounded-2xl p-4 text-sm">
+      <summary className="cursor-pointer font-medium flex items-center gap-2"><Filter className="h-4 w-4"/>Filters</summary>
+      <div className="mt-4 grid md:grid-cols-2 gap-6">
+        {groups.map(g=> (
+          <fieldset key={g.key} className="space-y-2">
+            <legend className="text-neutral-600 mb-1">{g.label}</legend>
+            <div className="flex flex-wrap gap-2">
+              {g.values.map(o=>{ const on=(facets[g.key] as string[]).includes(o.value); const n=counts[g.key][o.value]||0; return (
+                <label key={o.value} className={`flex items-center gap-1 px-2 py-1 rounded-full border cursor-pointer focus-within:ring-2 focus-within:ring-neutral-400 ${on? "bg-black text-white border-black" : n? "hover:bg-neutral-50" : "text-neutral-400"}`}>
+                  <input type="checkbox" className="sr-only" checked={on} onChange={()=>toggle(g.key, o.value as any)}/>{o.label} <span className={on? "text-neutral-300" : "text-neutral-500"}>({n})</span>
+                </label>
+              ); })}
+            </div>
+          </fieldset>
+        ))}
+        <div className="space-y-2">
+          <div className="flex justify-between text-neutral-600"><span>Volume</span><span>{vol? `${vol[0]}–${vol[1]} L` : "Matched to you"}</span></div>
+          <Slider min={options.volume[0]} max={options.volume[1]} step={0.5} value={vol || options.volume} thumbLabels={["Minimum volume", "Maximum volume"]} onValueChange={(v:number[])=> setFacets(f=> ({ ...f, volume: [v[0], v[1]] }))}/>
+          {vol && <button className="text-xs underline text-neutral-500" onClick={()=>setFacets(f=> ({ ...f, volume: null }))}>Match to my volume</button>}
+        </div>
+        <div className="space-y-2">
+          <div className="flex justify-between text-neutral-600"><span>Length</span><span>{fmtLen(len[0])}–{fmtLen(len[1])}</span></div>
+          <Slider min={options.lengthIn[0]} max={options.lengthIn[1]} step={1} value={len} thumbLabels={["Minimum length", "Maximum length"]} onValueChange={(v:number[])=> setFacets(f=> ({ ...f, lengthIn: [v[0], v[1]] }))}/>
+          {facets.lengthIn && <button className="text-xs underline text-neutral-500" onClick={()=>setFacets(f=> ({ ...f, lengthIn: null }))}>Any length</button>}
+        </div>
+      </div>
+    </details>
+  );
+}
+
+function SimilarBoardsPanel({ target, catalog, compareIds, toggleCompare, units }: { target: Board; catalog: Board[]; compareIds: string[]; toggleCompare: (id: string)=>void; units: Units }){
+  const [excludeSame, setExcludeSame] = useState(true);
+  const matches = useMemo(()=> similarBoards(target, catalog, { excludeSameShaper: excludeSame }), [target, catalog, excludeSame]);
+  return (
+    <div className="space-y-3 text-sm">
+      <label className="flex items-center gap-2"><input type="checkbox" className="accent-black" checked={excludeSame} onChange={(e)=>setExcludeSame(e.target.checked)}/>Other shapers only</label>
+      {matches.length ? (
+        <ul className="divide-y border rounded-xl">
+          {matches.map(m=> (
+            <li key={m.board.id} className="p-3 flex items-start justify-between gap-3">
+              <div>
+                <div className="font-medium">{m.board.shaper} – {m.board.model} <span className="text-neutral-500 font-normal">· {formatLength(m.board, units)} · {m.board.volume} L</span></div>
+                <div className="text-xs text-neutral-500">{m.reasons.join(" · ") || "Loosely similar"}</div>
+              </div>
+              <div className="flex items-center gap-3 shrink-0">
+                <Badge variant="outline">{Math.round(m.score*100)}% match</Badge>
+                <label className="flex items-center gap-1"><input type="checkbox" className="accent-black" checked={compareIds.includes(m.board.id)} onChange={()=>toggleCompare(m.board.id)}/>Compare<span className="sr-only"> {m.board.model} by {m.board.shaper}</span></label>
+              </div>
+            </li>
           ))}
-          <tr className="border-t"><td className="p-3 font-medium">Match score</td>{boards.map(b=> <td key={b.id+"score"} className="p-3">{Math.round((b as any)._score||0)}</td>)}</tr>
-        </tbody>
-      </table>
+        </ul>
+      ) : <div className="text-neutral-600">No similar boards in the catalog.</div>}
+    </div>
+  );
+}
+
+function CompareSimilar({ boards, catalog, compareIds, toggleCompare, units }: { boards: Board[]; catalog: Board[]; compareIds: string[]; toggleCompare: (id: string)=>void; units: Units }){
+  const [targetId, setTargetId] = useState(boards[0].id);
+  const target = boards.find(b=> b.id===targetId) || boards[0];
+  return (
+    <details className="border-t pt-3">
+      <summary className="cursor-pointer text-sm font-medium">Similar boards</summary>
+      <div className="mt-3 space-y-3">
+        <Select value={target.id} onValueChange={(v:string)=>setTargetId(v)}>
+          <SelectTrigger className="w-72" aria-label="Board to find similar models for"><SelectValue/></SelectTrigger>
+          <SelectContent>{boards.map(b=> <SelectItem key={b.id} value={b.id}>Similar to {b.shaper} – {b.model}</SelectItem>)}</SelectContent>
+        </Select>
+        <SimilarBoardsPanel target={target} catalog={catalog} compareIds={compareIds} toggleCompare={toggleCompare} units={units}/>
+      </div>
+    </details>
+  );
+}
+
+function QuiverBuilder({ catalog, rider, initialWaves, units, onCompare }: { catalog: Board[]; rider: QuiverRider; initialWaves: WaveType[]; units: Units; onCompare: (ids: string[])=>void }){
+  const [conditions, setConditions] = useState<WaveType[]>(initialWaves);
+  const [size, setSize] = useState(2);
+  const result = useMemo(()=> rider.weightKg>0 ? buildQuiver(catalog, rider, conditions, size) : null, [catalog, rider.weightKg, rider.ability, rider.fitness, rider.ageBand, rider.frequency, conditions, size]);
+  const toggle = (w: WaveType)=> setConditions(prev=> prev.includes(w) ? prev.filter(x=> x!==w) : [...prev, w]);
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-center gap-4 flex-wrap">
+        <span className="text-neutral-600">Conditions you surf</span>
+        <div className="flex gap-2 flex-wrap" role="group" aria-label="Conditions you surf">
+          {WAVE_TYPES.map(w=> <button key={w.value} aria-pressed={conditions.includes(w.value)} onClick={()=>toggle(w.value)} className={`px-3 py-1 rounded-full border ${conditions.includes(w.value)? "bg-black text-white border-black" : "hover:bg-neutral-50"}`}>{w.label}</button>)}
+        </div>
+        <div className="flex items-center gap-2 ml-auto">
+          <span className="text-neutral-600">Boards</span>
+          <Select value={String(size)} onValueChange={(v:string)=>setSize(Number(v))}>
+            <SelectTrigger className="w-20" aria-label="Boards in quiver"><SelectValue/></SelectTrigger>
+            <SelectContent>{[2,3].map(n=> <SelectItem key={n} value={String(n)}>{n}</SelectItem>)}</SelectContent>
+          </Select>
+        </div>
+      </div>
+      {!conditions.length ? <div className="border rounded-2xl p-8 text-center text-neutral-600">Pick at least one condition to build a quiver.</div>
+        : !result ? <div className="border rounded-2xl p-8 text-center text-neutral-600">No boards in the catalog suit your ability for these conditions.</div>
+        : (
+        <div className="space-y-4">
+          <div className="grid sm:grid-cols-3 gap-4">
+            {result.picks.map(p=> (
+              <Card key={p.board.id} className="rounded-2xl">
+                <CardContent className="p-4 space-y-2">
+                  <div className="text-xs uppercase tracking-wider text-neutral-500">{p.board.shaper}</div>
+                  <a href={boardHref(p.board.id)} className="text-lg font-semibold hover:underline">{p.board.model}</a>
+                  <div className="text-neutral-600">{formatLength(p.board, units)} · {p.board.volume} L <span className="text-neutral-400">(target {p.targetVolume} L)</span></div>
+                  <div className="flex flex-wrap gap-1">{p.covers.map(c=> <Badge key={c} variant="outline">{WAVE_TYPES.find(w=> w.value===c)?.label}</Badge>)}</div>
+                  <div className="text-xs text-neutral-500">{p.covers.length ? `Covers ${labelsOf(WAVE_TYPES, p.covers).toLowerCase()} (score ${p.covers.map(c=> Math.round(p.scores[c]||0)).join(" / ")})` : p.alternateFor ? `Alternate volume for ${labelsOf(WAVE_TYPES, [p.alternateFor]).toLowerCase()} (score ${Math.round(p.scores[p.alternateFor]||0)})` : "Backup board"}</div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+          {result.notes.length>0 && <ul className="text-xs text-neutral-500 list-disc pl-4">{result.notes.map(n=> <li key={n}>{n}</li>)}</ul>}
+          <Button onClick={()=>onCompare(result.picks.map(p=> p.board.id))}><Columns2 className="h-4 w-4 mr-2"/>Compare this quiver</Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RouteView({ route, boards, shapers, isLoading, compareIds, toggleCompare, units, riderKg, onShowSimilar }: { route: Extract<Route, { kind: "board" | "shaper" }>; boards: CompareBoard[]; shapers: Shaper[]; isLoading: boolean; compareIds: string[]; toggleCompare: (id: string)=>void; units: Units; riderKg?: number; onShowSimilar: (id: string)=>void }){
+  const content = (()=>{
+    if(isLoading) return <SkeletonGrid/>;
+    if(route.kind==="board"){
+      const b = boards.find(x=> x.id===route.id);
+      return b ? <BoardDetail board={b} boards={boards} shapers={shapers} compareIds={compareIds} toggleCompare={toggleCompare} units={units} riderKg={riderKg} onShowSimilar={onShowSimilar}/> : <NotFound what="board" id={route.id}/>;
+    }
+    const sh = shapers.find(x=> x.id===route.id);
+    return sh ? <ShaperPage shaper={sh} boards={boards.filter(b=> shaperIdOf(b)===sh.id)} compareIds={compareIds} toggleCompare={toggleCompare} units={units} onShowSimilar={onShowSimilar}/> : <NotFound what="shaper" id={route.id}/>;
+  })();
+  return (
+    <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 space-y-6">
+      <a href="#results" className="text-sm text-neutral-600 hover:text-neutral-900">← Back to results</a>
+      {content}
+    </section>
+  );
+}
+
+function NotFound({ what, id }: { what: "board" | "shaper"; id: string }){
+  return (
+    <div className="border rounded-2xl p-8 text-center text-neutral-600 space-y-2">
+      <h1 className="text-xl font-semibold text-neutral-900">{what==="board" ? "Board" : "Shaper"} not found</h1>
+      <p>Nothing in the catalog matches “{id}”. It may have been renamed or removed.</p>
+      <a href={what==="board" ? "#results" : "#shapers"} className="underline">Browse {what==="board" ? "boards" : "shapers"}</a>
+    </div>
+  );
+}
+
+function WeightFit({ range, riderKg, units }: { range: [number, number]; riderKg?: number; units: Units }){
+  const fmt = (kg:number)=> units==="imperial" ? `${kgToLb(kg)} lb` : `${round1(kg)} kg`;
+  if(riderKg==null) return <div className="text-sm text-neutral-600">Recommended rider weight {fmt(range[0])}–{fmt(range[1])}. Enter your weight in the finder to see your fit.</div>;
+  const [lo,hi] = range; const span = Math.max(hi-lo, 1);
+  const min = Math.min(lo - span*0.25, riderKg), max = Math.max(hi + span*0.25, riderKg);
+  const pct = (v:number)=> `${((v-min)/(max-min))*100}%`;
+  const verdict = riderKg<lo ? `${fmt(lo-riderKg)} under the recommended range` : riderKg>hi ? `${fmt(riderKg-hi)} over the recommended range` : "Within the recommended range";
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="relative h-3 rounded-full bg-neutral-100">
+        <div className="absolute h-3 rounded-full bg-emerald-200" style={{ left: pct(lo), width: `calc(${pct(hi)} - ${pct(lo)})` }}/>
+        <div className="absolute -top-1 h-5 w-1 rounded bg-black" style={{ left: pct(riderKg) }}/>
+      </div>
+      <div className="flex justify-between text-neutral-600"><span>{fmt(lo)}–{fmt(hi)} recommended</span><span>You: {fmt(riderKg)} · {verdict}</span></div>
+    </div>
+  );
+}
+
+function BoardDetail({ board: b, boards, shapers, compareIds, toggleCompare, units, riderKg, onShowSimilar }: { board: CompareBoard; boards: CompareBoard[]; shapers: Shaper[]; compareIds: string[]; toggleCompare: (id: string)=>void; units: Units; riderKg?: number; onShowSimilar: (id: string)=>void }){
+  const shaper = shapers.find(s=> s.id===shaperIdOf(b));
+  const siblings = boards.filter(x=> x.id!==b.id && shaperIdOf(x)===shaperIdOf(b));
+  const specs: [string, string][] = [
+    ["Length", b.lengthIn!=null ? `${formatLength(b, units)} (listed as ${b.length})` : b.length || "—"],
+    ["Volume", `${b.volume} L`],
+    ["Tail", b.tail || "—"],
+    ["Fins", b.fins || "—"],
+    ["Construction", b.construction || "—"],
+    ["Waves", labelsOf(WAVE_TYPES, b.waveTypes) || "—"],
+    ["Ability", labelsOf(ABILITIES, b.abilities) || "—"],
+  ];
+  return (
+    <div className="grid lg:grid-cols-3 gap-8">
+      <div className="lg:col-span-2 space-y-6">
+        <div>
+          <a href={shaperHref(shaperIdOf(b))} className="text-xs uppercase tracking-wider text-neutral-500 hover:text-neutral-900">{b.shaper}</a>
+          <h1 className="text-3xl font-semibold tracking-tight flex items-center gap-3">{b.model}</h1>
+        </div>
+        <BoardImage board={b} className="w-full max-h-80 object-cover rounded-2xl"/>
+        <Card className="rounded-2xl"><CardHeader className="pb-2"><CardTitle className="text-base">Specs</CardTitle></CardHeader>
+          <CardContent><dl className="grid sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">{specs.map(([k,v])=> <div key={k} className="flex justify-between border-b py-1"><dt className="text-neutral-500">{k}</dt><dd>{v}</dd></div>)}</dl></CardContent>
+        </Card>
+        <Card className="rounded-2xl"><CardHeader className="pb-2"><CardTitle className="text-base">Rider weight fit</CardTitle></CardHeader>
+          <CardContent><WeightFit range={b.recommendedWeight} riderKg={riderKg} units={units}/></CardContent>
+        </Card>
+        {b._breakdown && (
+          <Card className="rounded-2xl"><CardHeader className="pb-2"><CardTitle className="text-base">Why this score</CardTitle></CardHeader>
+            <CardContent className="text-sm"><ScoreBreakdownList breakdown={b._breakdown}/></CardContent>
+          </Card>
+        )}
+        <div className="flex gap-2">
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" className="accent-black" checked={compareIds.includes(b.id)} onChange={()=>toggleCompare(b.id)}/>Compare<span className="sr-only"> {b.model} by {b.shaper}</span></label>
+          <Button variant="secondary" onClick={()=>onShowSimilar(b.id)}>Similar boards</Button>
+        </div>
+      </div>
+      <aside className="space-y-4">
+        {shaper && (
+          <Card className="rounded-2xl"><CardContent className="p-4 space-y-1 text-sm">
+            <a href={shaperHref(shaper.id)} className="font-medium hover:underline">{shaper.name}</a>
+            {shaper.country && <div className="text-neutral-500">{shaper.country}</div>}
+            {shaper.website && <a href={shaper.website} target="_blank" rel="noreferrer" className="underline text-neutral-600">{shaper.website.replace(/^https?:\/\/(www\.)?/,"")}</a>}
+          </CardContent></Card>
+        )}
+        <div className="space-y-2">
+          <h2 className="font-semibold">More from {b.shaper}</h2>
+          {siblings.length ? (
+            <ul className="divide-y border rounded-xl text-sm">
+              {siblings.map(x=> <li key={x.id}><a href={boardHref(x.id)} className="flex justify-between p-3 hover:bg-neutral-50"><span>{x.model}</span><span className="text-neutral-500">{formatLength(x, units)} · {x.volume} L</span></a></li>)}
+            </ul>
+          ) : <div className="text-sm text-neutral-500">No other models in the catalog.</div>}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function ShaperPage({ shaper, boards, compareIds, toggleCompare, units, onShowSimilar }: { shaper: Shaper; boards: CompareBoard[]; compareIds: string[]; toggleCompare: (id: string)=>void; units: Units; onShowSimilar: (id: string)=>void }){
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-semibold tracking-tight">{shaper.name}</h1>
+        <div className="text-neutral-600 flex gap-3 text-sm">
+          {shaper.country && <span>{shaper.country}</span>}
+          {shaper.website && <a href={shaper.website} target="_blank" rel="noreferrer" className="underline">{shaper.website.replace(/^https?:\/\/(www\.)?/,"")}</a>}
+          <span>{boards.length} model{boards.length===1?"":"s"}</span>
+        </div>
+      </div>
+      {boards.length ? (
+        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {boards.map(b=> <BoardCard key={b.id} board={b} compareIds={compareIds} toggleCompare={toggleCompare} score={b._score!=null ? Math.round(b._score) : undefined} breakdown={b._breakdown} units={units} onShowSimilar={onShowSimilar}/>)}
+        </div>
+      ) : <div className="border rounded-2xl p-8 text-center text-neutral-600">No models listed for this shaper yet.</div>}
     </div>
   );
 }
 
+function DataIssuesPanel({ issues }: { issues: ValidationIssue[] }){
+  const errors = issues.filter(i=> i.severity==="error").length;
+  return (
+    <details className="text-xs border border-amber-200 bg-amber-50 rounded-xl px-3 py-2">
+      <summary className="cursor-pointer text-amber-700">Data issues: {errors} error{errors===1?"":"s"}, {issues.length-errors} warning{issues.length-errors===1?"":"s"}</summary>
+      <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto text-neutral-700">
+        {issues.map((i,k)=> <li key={k}><span className={i.severity==="error"? "text-red-600" : "text-amber-600"}>{i.severity}</span> · row {i.row}{i.id? ` (${i.id})` : ""} · <code>{i.field}</code>: {i.message}</li>)}
+      </ul>
+    </details>
+  );
+}
+
+/** Maintainer view at #/admin: edits the raw catalog files and exports them for a pull request. */
+function CatalogEditor(){
+  const [source, setSource] = useState("");
+  const [original, setOriginal] = useState<CatalogDraft|null>(null);
+  const [draft, setDraft] = useState<CatalogDraft|null>(null);
+  const [loadError, setLoadError] = useState<string|null>(null);
+  const [editing, setEditing] = useState<{ file: CatalogFile; row: CsvRow; isNew: boolean }|null>(null);
+  useEffect(()=>{
+    let cancelled = false;
+    loadCatalogFiles().then(res=>{ if(cancelled) return; setSource(res.source); setOriginal(res.draft); setDraft(res.draft); })
+      .catch((e:any)=>{ if(!cancelled) setLoadError(e?.message || String(e)); });
+    return ()=>{ cancelled = true; };
+  }, []);
+  const changes = useMemo(()=> original && draft ? diffCatalog(original, draft) : [], [original, draft]);
+  const issues = useMemo(()=> draft ? validateDraft(draft) : [], [draft]);
+  const errorCount = issues.filter(i=> i.severity==="error").length;
+  if(loadError) return <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 text-sm text-red-600">Couldn’t load the catalog files: {loadError}</section>;
+  if(!original || !draft) return <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10"><SkeletonGrid/></section>;
+  const shaperName = new Map(draft.shapers.rows.map(s=> [s.id, s.name] as const));
+  const usage = draft.models.rows.reduce<Record<string, number>>((m,r)=>{ m[r.shaper_id] = (m[r.shaper_id]||0)+1; return m; }, {});
+  const rowErrors = (file: CatalogFile, id: string)=> issues.filter(i=> i.file===file && i.id===id);
+  const save = (file: CatalogFile, row: CsvRow)=>{ setDraft({ ...draft, [file]: upsertRow(draft[file], row) }); setEditing(null); };
+  const skipped = [...draft.models.errors.map(e=> ({ file: "models.csv", ...e })), ...draft.shapers.errors.map(e=> ({ file: "shapers.csv", ...e }))];
+  const flag = (file: CatalogFile, id: string)=>{ const n = rowErrors(file, id); return n.length ? <span className={n.some(i=> i.severity==="error")? "text-red-600" : "text-amber-600"} title={n.map(i=> `${i.field}: ${i.message}`).join("\n")}>●</span> : null; };
+  return (
+    <section className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10 space-y-6">
+      <a href="#results" className="text-sm text-neutral-600 hover:text-neutral-900">← Back to results</a>
+      <div className="flex items-start justify-between gap-4 flex-wrap">
+        <div>
+          <h1 className="text-3xl font-semibold tracking-tight">Catalog editor</h1>
+          <p className="text-sm text-neutral-600">Editing <code>models.csv</code> and <code>shapers.csv</code> from {source}. Nothing is saved here — export the files and open a pull request.</p>
+        </div>
+        <div className="flex gap-2 flex-wrap">
+          <Button variant="outline" disabled={!changes.length} onClick={()=> setDraft(original)}>Discard changes</Button>
+          <Button variant="outline" disabled={errorCount>0} onClick={()=> downloadText("shapers.csv", tableToCSV(draft.shapers))}><Download className="h-4 w-4 mr-2"/>shapers.csv</Button>
+          <Button disabled={errorCount>0} onClick={()=> downloadText("models.csv", tableToCSV(draft.models))}><Download className="h-4 w-4 mr-2"/>models.csv</Button>
+        </div>
+      </div>
+      {errorCount>0 && <div className="text-sm text-red-600">{errorCount} error{errorCount===1?"":"s"} to fix before exporting.</div>}
+      {skipped.length>0 && (
+        <div className="text-xs border border-amber-200 bg-amber-50 rounded-xl px-3 py-2 text-neutral-700">
+          These lines couldn’t be read and will be missing from the export: {skipped.map(e=> `${e.file} line ${e.line} (${e.message})`).join("; ")}
+        </div>
+      )}
+
+      <Tabs defaultValue="models">
+        <TabsList>
+          <TabsTrigger value="models">Models ({draft.models.rows.length})</TabsTrigger>
+          <TabsTrigger value="shapers">Shapers ({draft.shapers.rows.length})</TabsTrigger>
+          <TabsTrigger value="changes">Changes ({changes.length})</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="models" className="space-y-3">
+          <Button variant="outline" onClick={()=> setEditing({ file: "models", row: blankRow(draft.models, "models", original.models), isNew: true })}><PlusSquare className="h-4 w-4 mr-2"/>Add model</Button>
+          <div className="overflow-x-auto border rounded-2xl">
+            <table className="w-full text-sm">
+              <thead><tr className="text-left text-neutral-500 border-b">{["id","Shaper","Model","Waves","Abilities","Length","Volume",""].map(h=> <th key={h} className="p-2 font-medium">{h}</th>)}</tr></thead>
+              <tbody>
+                {draft.models.rows.map(r=> (
+                  <tr key={r.id} className="border-b last:border-0">
+                    <td className="p-2 text-neutral-500">{r.id} {flag("models", r.id)}</td>
+                    <td className="p-2">{shaperName.get(r.shaper_id) || <span className="text-red-600">#{r.shaper_id || "?"}</span>}</td>
+                    <td className="p-2 font-medium">{r.model}</td>
+                    <td className="p-2">{r.waveTypes}</td>
+                    <td className="p-2">{r.abilities}</td>
+                    <td className="p-2">{r.length}</td>
+                    <td className="p-2">{r.volume}</td>
+                    <td className="p-2 text-right whitespace-nowrap">
+                      <button className="underline mr-3" onClick={()=> setEditing({ file: "models", row: r, isNew: false })}>Edit</button>
+                      <button className="underline text-red-600" onClick={()=> setDraft({ ...draft, models: removeRow(draft.models, r.id) })}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </TabsContent>
+
+        <TabsContent value="shapers" className="space-y-3">
+          <Button variant="outline" onClick={()=> setEditing({ file: "shapers", row: blankRow(draft.shapers, "shapers", original.shapers), isNew: true })}><PlusSquare className="h-4 w-4 mr-2"/>Add shaper</Button>
+          <div className="overflow-x-auto border rounded-2xl">
+            <table className="w-full text-sm">
+              <thead><tr className="text-left text-neutral-500 border-b">{["id","Name","Country","Website","Models",""].map(h=> <th key={h} className="p-2 font-medium">{h}</th>)}</tr></thead>
+              <tbody>
+                {draft.shapers.rows.map(s=> (
+                  <tr key={s.id} className="border-b last:border-0">
+                    <td className="p-2 text-neutral-500">{s.id} {flag("shapers", s.id)}</td>
+                    <td className="p-2 font-medium">{s.name}</td>
+                    <td className="p-2">{s.country}</td>
+                    <td className="p-2">{s.website}</td>
+                    <td className="p-2">{usage[s.id] || 0}</td>
+                    <td className="p-2 text-right whitespace-nowrap">
+                      <button className="underline mr-3" onClick={()=> setEditing({ file: "shapers", row: s, isNew: false })}>Edit</button>
+                      <button className="underline text-red-600 disabled:text-neutral-300 disabled:no-underline" disabled={!!usage[s.id]} title={usage[s.id] ? `Used by ${usage[s.id]} model${usage[s.id]===1?"":"s"} — reassign or delete them first` : undefined} onClick={()=> setDraft({ ...draft, shapers: removeRow(draft.shapers, s.id) })}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </TabsContent>
+
+        <TabsContent value="changes">
+          {changes.length ? (
+            <ul className="space-y-3">
+              {changes.map(c=> (
+                <li key={`${c.file}:${c.id}`} className="border rounded-2xl p-4 space-y-2">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="flex items-center gap-2 text-sm">
+                      <Badge variant={c.kind==="removed" ? "secondary" : "outline"}>{c.kind}</Badge>
+                      <code>{c.file}.csv</code><span className="text-neutral-500">#{c.id}</span><span className="font-medium">{c.label}</span>
+                    </div>
+                    <button className="text-sm underline" onClick={()=> setDraft(revertRow(draft, original, c.file, c.id))}>Revert</button>
+                  </div>
+                  {c.kind!=="removed" && (
+                    <table className="text-xs font-mono">
+                      <tbody>
+                        {c.cells.map(x=> (
+                          <tr key={x.column}>
+                            <td className="pr-3 text-neutral-500">{x.column}</td>
+                            <td className="pr-2 text-red-700 line-through">{x.before}</td>
+                            <td className="text-green-700">{x.after}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : <div className="border rounded-2xl p-8 text-center text-neutral-600">No pending changes. Exports match the loaded files byte-for-byte.</div>}
+        </TabsContent>
+      </Tabs>
+
+      <Dialog open={!!editing} onOpenChange={(o:boolean)=>{ if(!o) setEditing(null); }}>
+        <DialogContent className="max-w-2xl">
+          {editing && <CatalogRowForm key={`${editing.file}:${editing.row.id}`} {...editing} draft={draft} onSave={(row)=> save(editing.file, row)} onCancel={()=> setEditing(null)}/>}
+        </DialogContent>
+      </Dialog>
+    </section>
+  );
+}
+
+/** Edits one row as source text; issues come from validateDraft run against the draft with this row applied. */
+function CatalogRowForm({ file, row: initial, isNew, draft, onSave, onCancel }: { file: CatalogFile; row: CsvRow; isNew: boolean; draft: CatalogDraft; onSave: (row: CsvRow)=>void; onCancel: ()=>void }){
+  const [row, setRow] = useState<CsvRow>(initial);
+  const issues = useMemo(()=> validateDraft({ ...draft, [file]: upsertRow(draft[file], row) }).filter(i=> i.file===file && i.id===row.id), [draft, file, row]);
+  const set = (k: string, v: string)=> setRow(r=> ({ ...r, [k]: v }));
+  const hasErrors = issues.some(i=> i.severity==="error");
+  const msg = (k: string)=> issues.filter(i=> i.field===k).map(i=> <p key={i.message} className={`text-xs ${i.severity==="error"? "text-red-600" : "text-amber-600"}`}>{i.message}</p>);
+  const text = (k: string, label: string, placeholder?: string, list?: string)=> (
+    <div className="grid gap-1"><Label htmlFor={`edit-${k}`}>{label}</Label><Input id={`edit-${k}`} value={row[k] ?? ""} placeholder={placeholder} list={list} onChange={(e:any)=> set(k, e.target.value)}/>{msg(k)}</div>
+  );
+  const suggestions = (k: string)=> Array.from(new Set(draft.models.rows.map(r=> r[k]).filter(v=> !isMissing(v)))).sort();
+  const norm = createNormalizer();
+  const listField = (k: "waveTypes" | "abilities", label: string, options: readonly { value: string; label: string }[])=>{
+    const on = norm[k](row[k]) as string[];
+    return (
+      <div className="grid gap-1"><Label>{label}</Label>
+        <div className="flex gap-3 flex-wrap text-sm">
+          {options.map(o=> <label key={o.value} className="flex items-center gap-1"><input type="checkbox" className="accent-black" checked={on.includes(o.value)} onChange={(e)=> set(k, toggleListCell(row[k], k, o.value, e.target.checked))}/>{o.label}</label>)}
+        </div>
+        <code className="text-xs text-neutral-500">{row[k] || "—"}</code>{msg(k)}
+      </div>
+    );
+  };
+  return (
+    <form className="space-y-4" onSubmit={(e)=>{ e.preventDefault(); if(!hasErrors) onSave(row); }}>
+      <DialogHeader>
+        <DialogTitle>{isNew ? "Add" : "Edit"} {file==="models" ? "model" : "shaper"} #{row.id}</DialogTitle>
+        <DialogDescription>Values are written to {file}.csv exactly as entered.</DialogDescription>
+      </DialogHeader>
+      {file==="models" ? (
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div className="grid gap-1"><Label htmlFor="edit-shaper_id">Shaper</Label>
+            <Select value={row.shaper_id} onValueChange={(v)=> set("shaper_id", v)}>
+              <SelectTrigger id="edit-shaper_id"><SelectValue placeholder="Choose a shaper"/></SelectTrigger>
+              <SelectContent>{draft.shapers.rows.map(s=> <SelectItem key={s.id} value={s.id}>{s.name} (#{s.id})</SelectItem>)}</SelectContent>
+            </Select>{msg("shaper_id")}
+          </div>
+          {text("model", "Model")}
+          {listField("waveTypes", "Wave types", WAVE_TYPES)}
+          {listField("abilities", "Abilities", ABILITIES)}
+          {text("recommendedWeightMin", "Rider weight min (kg)")}
+          {text("recommendedWeightMax", "Rider weight max (kg)")}
+          {text("length", "Length", "5'10")}
+          {text("volume", "Volume (L)", "30.0")}
+          {(["tail","fins","construction"] as const).map(k=> <React.Fragment key={k}>{text(k, k[0].toUpperCase()+k.slice(1), undefined, `edit-${k}-options`)}<datalist id={`edit-${k}-options`}>{suggestions(k).map(v=> <option key={v} value={v}/>)}</datalist></React.Fragment>)}
+          {text("img", "Image URL", "nan")}
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" className="accent-black" checked={row.sponsored==="True"} onChange={(e)=> set("sponsored", e.target.checked ? "True" : "False")}/>Sponsored (catalog flag)</label>
+        </div>
+      ) : (
+        <div className="grid sm:grid-cols-2 gap-4">
+          {text("name", "Name")}
+          {text("country", "Country")}
+          {text("website", "Website", "https://")}
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={hasErrors}>{isNew ? "Add" : "Save"}</Button>
+      </div>
+    </form>
+  );
+}
 function SkeletonGrid(){
   return <div className="grid sm:grid-cols-2 gap-6">{Array.from({length:4}).map((_,i)=> <div key={i} className="h-72 bg-neutral-50 border rounded-2xl animate-pulse"/> )}</div>;
 }
-function EmptyState(){ return <div className="border rounded-2xl p-8 text-center text-neutral-600">No matches yet. Try adjusting weight, wave type, ability, or clear shaper filters.</div>; }
-function TopBannerAd(){ return <div className="w-full bg-neutral-100 border rounded-2xl p-4 flex items-center justify-center text-neutral-500"><span className="uppercase tracking-widest text-xs">Advertisement</span></div>; }
-function SidebarAd(){ return (
+function EmptyState({ suggestions = [], onRelax }: { suggestions?: RelaxSuggestion[]; onRelax?: (key: RelaxSuggestion["key"])=>void }){ return (
+  <div className="border rounded-2xl p-8 text-center text-neutral-600 space-y-3">
+    <div>No matches yet. Try adjusting weight, wave type, ability, or clear shaper filters.</div>
+    {suggestions.length>0 && onRelax && (
+      <div className="flex gap-2 justify-center flex-wrap text-sm">
+        {suggestions.map(s=> <button key={s.key} onClick={()=>onRelax(s.key)} className="px-3 py-1 rounded-full border hover:bg-neutral-50">{s.label} <span className="text-neutral-500">(+{s.count})</span></button>)}
+      </div>
+    )}
+  </div>
+); }
+/** A campaign creative with its advertiser label; falls back to the empty slot placeholder. */
+function AdCreativeBox({ campaign, className, placeholder }: { campaign?: Campaign; className: string; placeholder: string }){
+  const c = campaign?.creative;
+  const impressionRef = useImpression<HTMLDivElement>(c && campaign.id);
+  if(!campaign || !c) return <div className={`${className} bg-neutral-100 border rounded-2xl p-4 flex items-center justify-center text-neutral-500`}><span className="uppercase tracking-widest text-xs">{placeholder}</span></div>;
+  return (
+    <div ref={impressionRef} className={`${className} bg-amber-50 border border-amber-200 rounded-2xl p-4 flex flex-col justify-center gap-1`} data-campaign={campaign.id}>
+      <span className="uppercase tracking-widest text-[10px] text-neutral-500">Sponsored · {campaign.advertiser}</span>
+      <div className="font-medium">{c.headline}</div>
+      {c.body && <div className="text-sm text-neutral-600">{c.body}</div>}
+      {c.url && <a href={c.url} target="_blank" rel="sponsored noopener noreferrer" className="text-sm underline">{c.cta || "Learn more"}</a>}
+    </div>
+  );
+}
+function TopBannerAd({ campaign }: { campaign?: Campaign }){ return <AdCreativeBox campaign={campaign} className="w-full" placeholder="Advertisement"/>; }
+function SidebarAd({ campaign }: { campaign?: Campaign }){ return (
   <div className="sticky top-6 space-y-4">
-    <div className="h-64 bg-neutral-100 border rounded-2xl p-4 flex items-center justify-center text-neutral-500"><span className="uppercase tracking-widest text-xs">Ad 300×600</span></div>
-    <div className="h-64 bg-neutral-100 border rounded-2xl p-4 flex items-center justify-center text-neutral-500"><span className="uppercase tracking-widest text-xs">Ad 300×600</span></div>
+    <AdCreativeBox campaign={campaign} className="h-64" placeholder="Ad 300×600"/>
+    <AdCreativeBox className="h-64" placeholder="Ad 300×600"/>
   </div>
 ); }
-function InFeedAd(){ return <div className="h-40 bg-neutral-100 border rounded-2xl p-4 flex items-center justify-center text-neutral-500"><span className="uppercase tracking-widest text-xs">Sponsored</span></div>; }
+function InFeedAd({ campaign }: { campaign?: Campaign }){ return <AdCreativeBox campaign={campaign} className="h-40" placeholder="Sponsored"/>; }
 function Spec({label, value, icon:Icon}:{label:string; value:string|number; icon:any}){ return (
   <div className="flex items-center gap-2 text-neutral-700"><Icon className="h-4 w-4"/><span className="font-medium">{label}:</span><span>{value}</span></div>
 );}
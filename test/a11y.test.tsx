@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+import { cleanup, render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { axe, toHaveNoViolations } from "jest-axe";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { BoardImage, FALLBACK_BOARDS } from "../surfboard_finder_pro_compare.jsx";
+import { renderFinder } from "./page";
+
+expect.extend(toHaveNoViolations);
+afterEach(() => { cleanup(); vi.unstubAllGlobals(); localStorage.clear(); });
+
+const status = () => screen.getByText(/\d+ matches ·/).closest("[role=status]") as HTMLElement;
+const tray = () => screen.getByRole("region", { name: "Compare tray" });
+const addToCompare = async (user: ReturnType<typeof userEvent.setup>, ...names: string[]) => {
+  for (const name of names) await user.click(screen.getByRole("checkbox", { name: `Compare ${name}` }));
+};
+
+describe("finder accessibility", () => {
+  it("marks shaper chips with aria-pressed and announces the new result count", async () => {
+    const user = userEvent.setup();
+    await renderFinder();
+    const chips = within(screen.getByRole("group", { name: "Filter by shaper" }));
+    expect(status().getAttribute("aria-live")).toBe("polite");
+    expect(status().textContent).toMatch(/^4 matches · 4 shapers/);
+
+    await user.click(chips.getByRole("button", { name: "Torq", pressed: false }));
+    expect(chips.getByRole("button", { name: "Torq", pressed: true })).toBeTruthy();
+    expect(status().textContent).toMatch(/^1 matches · 1 shapers/);
+  });
+
+  it("names each compare-tray remove button and moves focus when a board is removed", async () => {
+    const user = userEvent.setup();
+    await renderFinder();
+    await addToCompare(user, "TET Fish by Torq", "Cohort I by Haydenshapes");
+    const removes = within(tray()).getAllByRole("button", { name: /^Remove .* from compare$/ });
+    expect(removes.map((b) => b.getAttribute("aria-label"))).toEqual(["Remove Cohort I by Haydenshapes from compare", "Remove TET Fish by Torq from compare"]);
+    expect(screen.getByText("Cohort I by Haydenshapes added to compare (2 of 4)").getAttribute("role")).toBe("status");
+
+    await user.click(removes[0]);
+    await waitFor(() => expect(document.activeElement?.getAttribute("aria-label")).toBe("Remove TET Fish by Torq from compare"));
+
+    await user.click(document.activeElement!);
+    expect(document.activeElement).toBe(screen.getByRole("heading", { name: "Recommendations" }));
+  });
+
+  it("returns focus to the opener when the compare dialog closes", async () => {
+    const user = userEvent.setup();
+    await renderFinder();
+    await addToCompare(user, "TET Fish by Torq");
+    const open = within(tray()).getByRole("button", { name: /Open Compare/ });
+    await user.click(open);
+    expect(screen.getByRole("dialog", { name: "Compare Boards" })).toBeTruthy();
+
+    await user.keyboard("{Escape}");
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+    expect(document.activeElement).toBe(open);
+  });
+
+  it("has no axe violations on the finder page, filters and volume refinements open", async () => {
+    const { container } = await renderFinder();
+    for (const name of ["Filters", "Refine volume"]) (screen.getByText(name).closest("details") as HTMLDetailsElement).open = true;
+    expect(screen.getByRole("slider", { name: "Maximum length" })).toBeTruthy();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe("BoardImage", () => {
+  it("shows the generated placeholder, still named, when the catalog has no photo", () => {
+    const board = { ...FALLBACK_BOARDS[0], img: "nan" };
+    render(<BoardImage board={board} className="" />);
+    const img = screen.getByRole("img", { name: `${board.model} by ${board.shaper}` });
+    expect(img.getAttribute("src")).toMatch(/^data:image\/svg\+xml/);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { MODEL_COLUMNS, SHAPER_COLUMNS, blankRow, diffCatalog, nextId, readCatalogTable, removeRow, revertRow, tableToCSV, upsertRow, type CatalogDraft } from "../surfboard_finder_pro_compare.jsx";
+import { readRepoFile } from "./catalog";
+
+const load = (): CatalogDraft => ({ models: readCatalogTable(readRepoFile("models.csv"), MODEL_COLUMNS), shapers: readCatalogTable(readRepoFile("shapers.csv"), SHAPER_COLUMNS) });
+
+describe("tableToCSV", () => {
+  it("exports the repo files byte-for-byte", () => {
+    const d = load();
+    expect(tableToCSV(d.models)).toBe(readRepoFile("models.csv"));
+    expect(tableToCSV(d.shapers)).toBe(readRepoFile("shapers.csv"));
+  });
+
+  it("keeps CRLF line endings, the BOM and a missing final newline", () => {
+    const csv = "\uFEFFid,name,country,website\r\n1,Pyzel,Hawaii,https://pyzel.com\r\n2,\"Lost, Mayhem\",USA,";
+    const t = readCatalogTable(csv, SHAPER_COLUMNS);
+    expect(t.format).toEqual({ eol: "\r\n", bom: true, finalEol: false });
+    expect(tableToCSV(t)).toBe(csv);
+    expect(tableToCSV(upsertRow(t, { ...blankRow(t, "shapers", t), name: "Album" }))).toBe(`${csv}\r\n3,Album,,`);
+  });
+});
+
+describe("new ids", () => {
+  it("never reuse an id deleted from the draft", () => {
+    const original = load();
+    const last = original.models.rows.at(-1)!;
+    const draft = { ...original, models: removeRow(original.models, last.id) };
+    expect(nextId(draft.models)).toBe(last.id);
+    const row = blankRow(draft.models, "models", original.models);
+    expect(row.id).toBe(String(Number(last.id) + 1));
+
+    const edited = { ...draft, models: upsertRow(draft.models, { ...row, model: "New One" }) };
+    expect(diffCatalog(original, edited).map((c) => [c.kind, c.id])).toEqual([["added", row.id], ["removed", last.id]]);
+    expect(revertRow(edited, original, "models", last.id).models.rows.map((r) => r.id)).toEqual([...original.models.rows.map((r) => r.id), row.id]);
+  });
+});
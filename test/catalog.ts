@@ -0,0 +1,8 @@
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { parseCatalogCSV } from "../surfboard_finder_pro_compare.jsx";
+
+/** A file from the repo root, e.g. "models.csv". */
+export const readRepoFile = (f: string) => readFileSync(join(import.meta.dirname, "..", f), "utf8");
+/** The boards the app builds from the repo's models.csv joined with shapers.csv. */
+export const repoBoards = parseCatalogCSV(readRepoFile("models.csv"), readRepoFile("shapers.csv")).boards;
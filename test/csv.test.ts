@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { parseCSVTable, readCSVRecords, type CSVError } from "../surfboard_finder_pro_compare.jsx";
+
+const read = (input: string | Iterable<string>) => {
+  const errors: CSVError[] = [];
+  return { records: Array.from(readCSVRecords(input, errors)), errors };
+};
+
+describe("readCSVRecords", () => {
+  it('unescapes "" inside quoted fields and keeps quoted commas', () => {
+    expect(read('a,"say ""hi"", then go",""""\n').records).toEqual([{ line: 1, fields: ["a", 'say "hi", then go', '"'] }]);
+  });
+
+  it("keeps quoted CR/LF in the field and numbers later records by physical line", () => {
+    const { records, errors } = read('id,note\r\n1,"two\r\nlines"\r\n2,"a\nb\rc"\n3,after');
+    expect(errors).toEqual([]);
+    expect(records).toEqual([
+      { line: 1, fields: ["id", "note"] },
+      { line: 2, fields: ["1", "two\nlines"] },
+      { line: 4, fields: ["2", "a\nb\nc"] },
+      { line: 7, fields: ["3", "after"] },
+    ]);
+  });
+
+  it("accepts CRLF, LF and bare CR line endings and skips blank lines", () => {
+    expect(read("a\r\nb\nc\rd\n\n\re").records.map((r) => [r.line, r.fields[0]])).toEqual([[1, "a"], [2, "b"], [3, "c"], [4, "d"], [7, "e"]]);
+  });
+
+  it("drops a leading BOM but not one later in the file", () => {
+    expect(read("\uFEFFid,name\n1,\uFEFFx").records.map((r) => r.fields)).toEqual([["id", "name"], ["1", "\uFEFFx"]]);
+  });
+
+  it("carries state across chunk boundaries, mid-quote and mid-CRLF", () => {
+    const csv = '\uFEFFid,note\r\n1,"quoted, ""with"" a\r\nbreak"\r\n2,plain\r\n';
+    const whole = read(csv);
+    expect(read(csv.split("")).records).toEqual(whole.records);
+    for (let i = 1; i < csv.length; i++) expect(read([csv.slice(0, i), csv.slice(i)])).toEqual(whole);
+    expect(whole.records[1].fields[1]).toBe('quoted, "with" a\nbreak');
+  });
+
+  it("reports text after a closing quote and stray quotes, keeping the text", () => {
+    const { records, errors } = read('a,"b"c\nx,y"z\n');
+    expect(records.map((r) => r.fields)).toEqual([["a", "bc"], ["x", 'y"z']]);
+    expect(errors).toEqual([{ line: 1, message: "Text after closing quote" }, { line: 2, message: "Stray quote inside unquoted field" }]);
+  });
+
+  it("reports an unterminated quoted field at the line it opened on", () => {
+    const { records, errors } = read('id,note\n1,"never\nclosed\n');
+    expect(errors).toEqual([{ line: 2, message: "Unterminated quoted field" }]);
+    expect(records[1]).toEqual({ line: 2, fields: ["1", "never\nclosed\n"] });
+  });
+});
+
+describe("parseCSVTable", () => {
+  it("trims headers and reports rows with the wrong column count by line", () => {
+    const t = parseCSVTable(' id , name \n1\n2,Pyzel\n"3\nx",a,b\n4,Lost');
+    expect(t.headers).toEqual(["id", "name"]);
+    expect(t.rows.map((r) => [r.line, r.fields])).toEqual([[3, ["2", "Pyzel"]], [6, ["4", "Lost"]]]);
+    expect(t.errors).toEqual([{ line: 2, message: "Expected 2 columns, got 1" }, { line: 4, message: "Expected 2 columns, got 3" }]);
+    expect(t.idx("name")).toBe(1);
+  });
+});
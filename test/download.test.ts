@@ -0,0 +1,28 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { downloadText } from "../surfboard_finder_pro_compare.jsx";
+
+afterEach(() => { vi.useRealTimers(); vi.restoreAllMocks(); });
+
+describe("downloadText", () => {
+  it("clicks an attached link, removes it, and revokes the blob URL only later", () => {
+    vi.useFakeTimers();
+    const blobs: Blob[] = [];
+    URL.createObjectURL = vi.fn((b: Blob) => { blobs.push(b); return "blob:test"; });
+    URL.revokeObjectURL = vi.fn();
+    const clicks: { attached: boolean; href: string; download: string }[] = [];
+    vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function (this: HTMLAnchorElement) {
+      clicks.push({ attached: this.isConnected, href: this.href, download: this.download });
+    });
+
+    downloadText("models.csv", "id\n1\n");
+    expect(clicks).toEqual([{ attached: true, href: "blob:test", download: "models.csv" }]);
+    expect(document.querySelector("a[download]")).toBeNull();
+    expect(blobs[0].type).toBe("text/csv;charset=utf-8");
+
+    vi.advanceTimersByTime(1000);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:test");
+  });
+});
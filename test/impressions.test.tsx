@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { renderFinder } from "./page";
+
+/** Stand-in IntersectionObserver: nothing is on screen until a test calls `show`. */
+class FakeObserver {
+  static all: FakeObserver[] = [];
+  targets: Element[] = [];
+  constructor(public callback: IntersectionObserverCallback) { FakeObserver.all.push(this); }
+  observe(el: Element) { this.targets.push(el); }
+  unobserve(el: Element) { this.targets = this.targets.filter((t) => t !== el); }
+  disconnect() { this.targets = []; }
+  takeRecords() { return []; }
+}
+const show = (el: Element) => act(() => {
+  for (const o of [...FakeObserver.all]) if (o.targets.includes(el)) o.callback([{ target: el, isIntersecting: true } as IntersectionObserverEntry], o as unknown as IntersectionObserver);
+});
+const impressions = (): Record<string, number[]> => JSON.parse(localStorage.getItem("surfboard-finder:impressions") || "{}");
+const counts = () => Object.fromEntries(Object.entries(impressions()).map(([id, ts]) => [id, ts.length]));
+const creatives = (id: string) => Array.from(document.querySelectorAll(`[data-campaign="${id}"]`));
+const placementCards = () => screen.queryAllByTitle(/^Paid placement by/).map((badge) => badge.closest(".rounded-2xl")!);
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date("2026-07-01T12:00:00"));
+  localStorage.clear();
+  FakeObserver.all = [];
+  vi.stubGlobal("IntersectionObserver", FakeObserver);
+});
+afterEach(() => { cleanup(); vi.useRealTimers(); vi.unstubAllGlobals(); });
+
+describe("sponsored impressions", () => {
+  it("records nothing for campaigns that were picked but never shown", async () => {
+    await renderFinder();
+    expect(creatives("catch-surf-banner-summer")).toHaveLength(1);
+    expect(impressions()).toEqual({});
+  });
+
+  it("counts each rendered creative once, however often it scrolls into view", async () => {
+    await renderFinder();
+    const [banner] = creatives("catch-surf-banner-summer");
+    show(banner); show(banner);
+    expect(counts()).toEqual({ "catch-surf-banner-summer": 1 });
+  });
+
+  it("counts only the sidebar copies that are actually on screen", async () => {
+    await renderFinder();
+    const sidebars = creatives("channel-islands-sidebar");
+    expect(sidebars).toHaveLength(2);
+    show(sidebars[0]);
+    expect(counts()).toEqual({ "channel-islands-sidebar": 1 });
+    show(sidebars[1]);
+    expect(counts()).toEqual({ "channel-islands-sidebar": 2 });
+  });
+
+  it("records a result placement when its card is seen, and none with sponsored placements off", async () => {
+    await renderFinder("?wave=small_beach");
+    fireEvent.click(screen.getByRole("tab", { name: "All Matches" }));
+    const cards = placementCards();
+    expect(cards.length).toBeGreaterThan(0);
+    expect(impressions()).toEqual({});
+    show(cards[0]);
+    expect(Object.keys(impressions()).filter((id) => id.includes("results"))).toHaveLength(1);
+
+    localStorage.clear();
+    fireEvent.click(screen.getByLabelText(/Sponsored placements in All Matches/));
+    expect(placementCards()).toEqual([]);
+    for (const o of FakeObserver.all) for (const el of o.targets) show(el);
+    expect(Object.keys(impressions()).filter((id) => id.includes("results"))).toEqual([]);
+  });
+});
@@ -0,0 +1,102 @@
+import { createHash } from "node:crypto";
+import { createServer, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import { FALLBACK_BOARDS, createSource, loadCatalog } from "../surfboard_finder_pro_compare.jsx";
+import { readRepoFile } from "./catalog";
+
+const etag = (body: string) => `"${createHash("sha1").update(body).digest("hex")}"`;
+
+// Local stand-in for the GitHub raw host: serves `files`, honours If-None-Match, logs every request.
+let files: Record<string, string> = {};
+let requests: string[] = [];
+let down = false;
+let server: Server;
+let base = "";
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const conditional = req.headers["if-none-match"];
+    requests.push(`${req.url} ${conditional ? "conditional" : "plain"}`);
+    if (down) { res.writeHead(503); res.end(); return; }
+    const body = files[req.url || ""];
+    if (body == null) { res.writeHead(404); res.end(); return; }
+    const tag = etag(body);
+    if (conditional === tag) { res.writeHead(304, { ETag: tag }); res.end(); return; }
+    res.writeHead(200, { ETag: tag, "Content-Type": "text/csv" });
+    res.end(body);
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+afterAll(() => new Promise<void>((resolve) => server.close(() => resolve())));
+
+const memoryStorage = () => {
+  const m = new Map<string, string>();
+  return { getItem: (k: string) => m.get(k) ?? null, setItem: (k: string, v: string) => { m.set(k, v); } };
+};
+const sources = () => [createSource({ type: "csv", name: "stand-in", modelsUrl: `${base}/models.csv`, shapersUrl: `${base}/shapers.csv` })];
+const now = () => new Date("2026-01-01T00:00:00Z");
+
+describe("loadCatalog against a local stand-in server", () => {
+  let storage: ReturnType<typeof memoryStorage>;
+  beforeEach(() => {
+    files = { "/models.csv": readRepoFile("models.csv"), "/shapers.csv": readRepoFile("shapers.csv") };
+    requests = []; down = false; storage = memoryStorage();
+  });
+
+  it("loads and caches the joined catalog", async () => {
+    const res = await loadCatalog(sources(), { storage, now });
+    expect(res.origin).toBe("network");
+    expect(res.source).toBe("stand-in");
+    expect(res.boards).toHaveLength(60);
+    expect(res.shapers).toHaveLength(20);
+    expect(res.issues).toEqual([]);
+    expect(storage.getItem("surfboard-finder:catalog")).toContain("stand-in");
+  });
+
+  it("reports vocabulary it can't map as warnings at the first line they appear on", async () => {
+    const models = files["/models.csv"].split("\n");
+    models[3] = models[3].replace(",Reef,", ",Reeff,");
+    models[5] = models[5].replace(",Beach,", ",Reeff,");
+    files["/models.csv"] = models.join("\n");
+    const res = await loadCatalog(sources(), { storage, now });
+    expect(res.issues.filter((i) => i.severity === "warning")).toEqual([{ row: 4, field: "waveTypes", message: 'Unknown value "Reeff" (2 rows)', severity: "warning" }]);
+  });
+
+  it("reuses the cache when every file answers 304", async () => {
+    const first = await loadCatalog(sources(), { storage, now });
+    requests = [];
+    const second = await loadCatalog(sources(), { storage, now });
+    expect(requests).toEqual(["/models.csv conditional", "/shapers.csv conditional"]);
+    expect(second.origin).toBe("network");
+    expect(second.boards).toEqual(first.boards);
+  });
+
+  it("refetches the unchanged file in full on a partial 304", async () => {
+    await loadCatalog(sources(), { storage, now });
+    files["/models.csv"] = files["/models.csv"].replace("Happy Everyday", "Happy Everyday II");
+    requests = [];
+    const res = await loadCatalog(sources(), { storage, now });
+    expect(requests).toEqual(["/models.csv conditional", "/shapers.csv conditional", "/shapers.csv plain"]);
+    expect(res.boards.find((b) => b.id === "1")?.model).toBe("Happy Everyday II");
+    expect(res.boards.find((b) => b.id === "1")?.shaper).toBe("Channel Islands");
+  });
+
+  it("serves the cache when the source is down", async () => {
+    const first = await loadCatalog(sources(), { storage, now });
+    down = true;
+    const res = await loadCatalog(sources(), { storage, now });
+    expect(res.origin).toBe("cache");
+    expect(res.errors).toEqual(["stand-in: Catalog 503"]);
+    expect(res.boards).toEqual(first.boards);
+  });
+
+  it("falls back to FALLBACK_BOARDS with no source and no cache", async () => {
+    down = true;
+    const res = await loadCatalog(sources(), { storage, now });
+    expect(res.origin).toBe("fallback");
+    expect(res.boards).toBe(FALLBACK_BOARDS);
+    expect(res.errors).toHaveLength(1);
+  });
+});
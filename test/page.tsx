@@ -0,0 +1,20 @@
+import { render, screen } from "@testing-library/react";
+import { vi } from "vitest";
+import SurfboardFinderProCompare from "../surfboard_finder_pro_compare.jsx";
+import { readRepoFile } from "./catalog";
+
+/**
+ * Renders the finder at `search` (URL state) with fetch serving the repo's CSVs, and waits for the
+ * catalog to load. `offline` makes every source fail, so the page drops to its sample boards.
+ */
+export async function renderFinder(search = "", { offline = false } = {}) {
+  window.history.replaceState(null, "", `/${search}`);
+  vi.stubGlobal("fetch", vi.fn(async (url: string) => {
+    const file = ["models.csv", "shapers.csv"].find((f) => String(url).endsWith(f));
+    if (offline) return new Response("", { status: 503 });
+    return file ? new Response(readRepoFile(file), { status: 200 }) : new Response("", { status: 404 });
+  }));
+  const view = render(<SurfboardFinderProCompare />);
+  await screen.findByText(/\d+ matches ·/);
+  return view;
+}
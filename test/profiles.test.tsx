@@ -0,0 +1,40 @@
+// @vitest-environment jsdom
+import { cleanup, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { renderFinder } from "./page";
+
+afterEach(() => { cleanup(); vi.unstubAllGlobals(); localStorage.clear(); });
+
+const saved = () => JSON.parse(localStorage.getItem("surfboard-finder:profiles") || "[]");
+const pressed = (group: string) => within(screen.getByRole("group", { name: group })).getAllByRole("button", { pressed: true }).map((b) => b.textContent);
+
+describe("rider profiles", () => {
+  it("saves exactly the preferred waves picked, and a later save replaces them", async () => {
+    const user = userEvent.setup();
+    await renderFinder();
+    const waves = within(screen.getByRole("group", { name: "Preferred waves" }));
+    expect(pressed("Preferred waves")).toEqual(["Point Breaks"]);
+
+    await user.click(waves.getByRole("button", { name: "Punchy Reefs" }));
+    await user.type(screen.getByLabelText("Profile name"), "me");
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+    expect(saved().map((p: { waves: string[] }) => p.waves)).toEqual([["mellow_point", "punchy_reef"]]);
+
+    await user.click(waves.getByRole("button", { name: "Point Breaks" }));
+    await user.type(screen.getByLabelText("Profile name"), "Me");
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+    expect(saved().map((p: { name: string; waves: string[] }) => [p.name, p.waves])).toEqual([["Me", ["punchy_reef"]]]);
+
+    await user.click(screen.getByRole("tab", { name: "Quiver Builder" }));
+    expect(pressed("Conditions you surf")).toEqual(["Punchy Reefs"]);
+  });
+
+  it("won't save a profile with no preferred waves", async () => {
+    const user = userEvent.setup();
+    await renderFinder();
+    await user.click(within(screen.getByRole("group", { name: "Preferred waves" })).getByRole("button", { name: "Point Breaks" }));
+    await user.type(screen.getByLabelText("Profile name"), "me");
+    expect(screen.getByRole("button", { name: "Save profile" }).hasAttribute("disabled")).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { FALLBACK_BOARDS, buildQuiver, type QuiverRider } from "../surfboard_finder_pro_compare.jsx";
+import { repoBoards } from "./catalog";
+
+const catalog = [...repoBoards, ...FALLBACK_BOARDS];
+const rider: QuiverRider = { weightKg: 80, ability: "intermediate" };
+const steps = (vols: number[]) => vols.slice(1).map((v, i) => Math.round((vols[i] - v) * 10) / 10);
+
+describe("buildQuiver", () => {
+  it("fills the requested size from a single condition with alternates at different volumes", () => {
+    for (const size of [2, 3]) {
+      const q = buildQuiver(catalog, rider, ["mellow_point"], size)!;
+      expect(q.picks).toHaveLength(size);
+      expect(q.picks.filter((p) => p.covers.includes("mellow_point"))).toHaveLength(1);
+      expect(q.picks.filter((p) => p.alternateFor === "mellow_point")).toHaveLength(size - 1);
+      for (const step of steps(q.picks.map((p) => p.board.volume))) expect(step).toBeGreaterThanOrEqual(1.5);
+      expect(q.notes.some((n) => n.includes("doesn't lead"))).toBe(false);
+    }
+  });
+
+  it("gives each condition its own board before adding alternates", () => {
+    const q = buildQuiver(catalog, rider, ["small_beach", "punchy_reef"], 2)!;
+    expect(q.picks.map((p) => p.covers.length)).toEqual([1, 1]);
+    expect(q.picks.some((p) => p.alternateFor)).toBe(false);
+    const three = buildQuiver(catalog, rider, ["small_beach", "punchy_reef"], 3)!;
+    expect(three.picks.flatMap((p) => p.covers).sort()).toEqual(["punchy_reef", "small_beach"]);
+    expect(three.picks.filter((p) => p.alternateFor)).toHaveLength(1);
+  });
+
+  it("notes when the catalog can't fill the quiver", () => {
+    const q = buildQuiver(catalog.filter((b) => b.abilities.includes("intermediate")).slice(0, 1), rider, ["mellow_point"], 3)!;
+    expect(q.picks).toHaveLength(1);
+    expect(q.notes).toEqual(["Only 1 suitable board in the catalog for these conditions"]);
+  });
+});
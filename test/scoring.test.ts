@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_WEIGHTS, FALLBACK_BOARDS, createScoringEngine, type Ability, type Board, type WaveType } from "../surfboard_finder_pro_compare.jsx";
+import { repoBoards } from "./catalog";
+
+const catalog = [...repoBoards, ...FALLBACK_BOARDS];
+
+/** scoreBoard as it shipped before the engine existed, kept verbatim as the ranking baseline. */
+function baselineScore(b: Board, weight: number, wave: WaveType, ability: Ability) {
+  const mult = { beginner: [0.45, 0.55], intermediate: [0.38, 0.47], advanced: [0.3, 0.4] }[ability];
+  const round1 = (n: number) => Math.round(n * 10) / 10;
+  const targetV = (round1(weight * mult[0]) + round1(weight * mult[1])) / 2;
+  let s = 100 - Math.min(Math.abs(b.volume - targetV), 40) * 1.5;
+  if (b.waveTypes.includes(wave)) s += 10;
+  if (b.abilities.includes(ability)) s += 8;
+  const [wMin, wMax] = b.recommendedWeight;
+  if (weight >= wMin && weight <= wMax) s += 6; else s -= 6;
+  if (b.sponsored) s += 3;
+  return s;
+}
+/**
+ * The baseline minus its +3 sponsored nudge. Dropping that nudge is intentional: paid placement
+ * moved to campaigns.json (placeSponsored), so the default profile ranks on fit alone.
+ */
+const organicBaseline = (b: Board, weight: number, wave: WaveType, ability: Ability) => baselineScore(b, weight, wave, ability) - (b.sponsored ? 3 : 0);
+
+const WEIGHTS = [50, 65, 80, 95, 110];
+const WAVES: WaveType[] = ["small_beach", "mellow_point", "punchy_reef", "overhead"];
+const ABILITIES: Ability[] = ["beginner", "intermediate", "advanced"];
+const queries = WEIGHTS.flatMap((weight) => WAVES.flatMap((wave) => ABILITIES.map((ability) => ({ weight, wave, ability }))));
+const ghost = catalog.find((b) => b.model === "Ghost")!;
+
+describe("default scoring profile", () => {
+  const engine = createScoringEngine();
+
+  it("has no sponsored weight", () => {
+    expect(DEFAULT_WEIGHTS).not.toHaveProperty("sponsored");
+    expect(engine.factors.map((f) => f.key)).not.toContain("sponsored");
+  });
+
+  it("matches the organic baseline total for every board and query", () => {
+    for (const q of queries) for (const b of catalog) {
+      expect(engine.score(b, q).total).toBeCloseTo(organicBaseline(b, q.weight, q.wave, q.ability), 9);
+    }
+  });
+
+  it("ranks the catalog in baseline order, ignoring the old sponsor nudge", () => {
+    const rank = (score: (b: Board) => number) => [...catalog].sort((a, b) => score(b) - score(a) || a.id.localeCompare(b.id)).map((b) => b.id);
+    for (const q of queries) {
+      expect(rank((b) => engine.score(b, q).total)).toEqual(rank((b) => organicBaseline(b, q.weight, q.wave, q.ability)));
+    }
+  });
+
+  it("no longer lifts a sponsored board over an identical unsponsored one", () => {
+    const q = { weight: 80, wave: "punchy_reef" as const, ability: "advanced" as const };
+    expect(ghost.sponsored).toBe(true);
+    expect(engine.score(ghost, q).total).toBe(engine.score({ ...ghost, sponsored: false }, q).total);
+    expect(baselineScore(ghost, q.weight, q.wave, q.ability) - engine.score(ghost, q).total).toBe(3);
+  });
+
+  it("reports each core factor's contribution", () => {
+    // Ghost: 31.2 L, reef, advanced, 70–95 kg; an 80 kg advanced rider targets 28 L.
+    const res = engine.score(ghost, { weight: 80, wave: "punchy_reef", ability: "advanced" });
+    expect(res.base).toBe(100);
+    expect(res.factors.map((f) => [f.key, Math.round(f.points * 100) / 100])).toEqual([
+      ["volume", -4.8], ["wave", 10], ["ability", 8], ["weightFit", 6],
+    ]);
+    expect(res.total).toBeCloseTo(119.2, 9);
+    const miss = engine.score(ghost, { weight: 60, wave: "small_beach", ability: "beginner" });
+    expect(Object.fromEntries(miss.factors.map((f) => [f.key, f.points]))).toMatchObject({ wave: 0, ability: 0, weightFit: -6 });
+  });
+
+  it("states the weight fit in the rider's units", () => {
+    const q = { weight: 80, wave: "punchy_reef" as const, ability: "advanced" as const };
+    const detail = (units?: "metric" | "imperial") => engine.score(ghost, { ...q, units }).factors.find((f) => f.key === "weightFit")?.detail;
+    expect(detail()).toBe("70–95 kg recommended");
+    expect(detail("imperial")).toBe("154–209 lb recommended");
+  });
+
+  it("only scores preferences the query carries", () => {
+    const q = { weight: 80, wave: "punchy_reef" as const, ability: "advanced" as const };
+    expect(engine.score(ghost, q).factors.map((f) => f.key)).not.toContain("tail");
+    const pref = engine.score(ghost, { ...q, tail: "round", fins: "thruster" });
+    expect(pref.factors.filter((f) => f.key === "tail" || f.key === "fins").map((f) => f.points)).toEqual([DEFAULT_WEIGHTS.tail, 0]);
+  });
+});
+
+describe("custom profiles", () => {
+  it("applies overridden weights and registered factors", () => {
+    const engine = createScoringEngine({ ...DEFAULT_WEIGHTS, wave: 30 });
+    engine.register({ key: "light", label: "Light board", compute: (b) => (b.volume < 30 ? { points: 5, detail: "Under 30 L" } : null) });
+    const q = { weight: 80, wave: "punchy_reef" as const, ability: "advanced" as const };
+    const res = engine.score(ghost, q);
+    expect(res.factors.find((f) => f.key === "wave")?.points).toBe(30);
+    expect(res.factors.find((f) => f.key === "light")).toBeUndefined();
+    expect(engine.score({ ...ghost, volume: 28 }, q).factors.find((f) => f.key === "light")?.points).toBe(5);
+  });
+});
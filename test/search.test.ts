@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_FACETS, createSearchIndex, filterBoards, rankBest, relaxSuggestions, type FilterInput } from "../surfboard_finder_pro_compare.jsx";
+import { repoBoards as catalog } from "./catalog";
+
+const index = createSearchIndex(catalog);
+const input = (over: Partial<FilterInput> = {}): FilterInput => ({ facets: EMPTY_FACETS, ability: "intermediate", volumeWindow: [0, 100], shapers: [], ...over });
+const hitsOf = (query: string) => { const hits = index.search(query)!; return { hits, boards: catalog.filter((b) => hits.has(b.id)) }; };
+
+describe("relaxSuggestions", () => {
+  it("offers the ability filter when it is what hides the hits", () => {
+    const { boards } = hitsOf("ghost");
+    expect(boards.map((b) => b.model)).toEqual(["Ghost"]);
+    expect(filterBoards(boards, input())).toEqual([]);
+    expect(relaxSuggestions(boards, input(), [10, 60])).toEqual([{ key: "ability", label: "Boards for any level", count: 1 }]);
+    expect(filterBoards(boards, input({ ability: null })).map((b) => b.model)).toEqual(["Ghost"]);
+  });
+
+  it("leaves ability out when the rider's level already matches", () => {
+    const { boards } = hitsOf("ghost");
+    const keys = relaxSuggestions(boards, input({ ability: "advanced", shapers: ["Nobody"] }), [10, 60]).map((s) => s.key);
+    expect(keys).toEqual(["shapers"]);
+  });
+});
+
+describe("rankBest", () => {
+  const scored = (query: string) => {
+    const { hits, boards } = hitsOf(query);
+    return { hits, list: boards.map((b, i) => ({ ...b, _score: i })) };
+  };
+
+  it("puts stronger search matches ahead of better-fitting weaker ones", () => {
+    const { hits, list } = scored("twin");
+    const ranked = rankBest(list, hits).map((b) => hits.get(b.id)!);
+    expect(ranked).toEqual([...ranked].sort((a, b) => b - a));
+    expect(ranked[0]).toBeGreaterThan(ranked[ranked.length - 1]);
+  });
+
+  it("breaks relevance ties, and orders without a query, by fit score", () => {
+    const { hits, list } = scored("twin");
+    const top = rankBest(list, hits).filter((b) => hits.get(b.id) === hits.get(list[0].id)).map((b) => b._score);
+    expect(top).toEqual([...top].sort((a, b) => b - a));
+    expect(rankBest(catalog.map((b, i) => ({ ...b, _score: i })), null).map((b) => b._score)).toEqual(catalog.map((_, i) => catalog.length - 1 - i));
+  });
+});
+
+describe("createSearchIndex on a large catalog", () => {
+  const parts = ["sea", "storm", "pocket", "rocket", "fish", "glider", "ghost", "mayhem", "twin", "comet", "driver", "hydro", "lunar", "pixel", "quad", "razor", "slab", "tiger", "vortex", "wasp"];
+  const part = (i: number) => parts[Math.floor(i) % parts.length];
+  // 5,000 boards such as "fishmayhem glider2144" by "twin lunarboards": about 10,500 distinct tokens.
+  const big = Array.from({ length: 5000 }, (_, i) => ({
+    ...catalog[i % catalog.length], id: `big-${i}`,
+    model: `${part(i)}${part(i / 20)} ${part(i / 400)}${i}`, shaper: `${part(i * 7)} ${part(i * 3)}boards`,
+  }));
+  const bigIndex = createSearchIndex(big);
+  const top = (q: string) => Array.from(bigIndex.search(q)!).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  it("still finds exact tokens, prefixes, typos and typo'd prefixes", () => {
+    expect(top("fishmayhem glider2144")).toBe("big-2144");
+    expect(top("fishmay glider214")).toBe("big-2144");
+    expect(top("fishmyahem glider2144")).toBe("big-2144");
+    expect(top("fsihmay glidre2144")).toBe("big-2144");
+    expect(bigIndex.search("fishmayhem xyzzy")!.size).toBe(0);
+  });
+
+  it("answers mistyped queries without an edit distance against every token", () => {
+    bigIndex.search("warmup");
+    const queries = ["pocketfihs", "stromglider", "driverslba", "tigerhdyro", "mayhemqaud", "lunrafish", "cometvrotex", "ghsotwasp", "slabrazro", "hyrdopixel"];
+    const t0 = performance.now();
+    for (const q of queries) expect(bigIndex.search(q)!.size).toBeGreaterThan(0);
+    // A scan of the whole vocabulary took ~20 ms a query here; the trie walk takes ~2 ms.
+    expect((performance.now() - t0) / queries.length).toBeLessThan(8);
+  });
+});
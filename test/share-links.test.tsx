@@ -0,0 +1,28 @@
+// @vitest-environment jsdom
+import { cleanup, screen, waitFor } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { renderFinder } from "./page";
+
+beforeEach(() => { vi.spyOn(console, "warn").mockImplementation(() => {}); });
+afterEach(() => { cleanup(); vi.unstubAllGlobals(); vi.restoreAllMocks(); localStorage.clear(); });
+
+const params = () => new URLSearchParams(window.location.search);
+
+describe("shared links", () => {
+  it("drops ids the catalog no longer has without adding a history entry", async () => {
+    const before = window.history.length;
+    await renderFinder("?cmp=1,999&shapers=Pyzel,Nobody");
+    await waitFor(() => expect(params().get("cmp")).toBe("1"));
+    expect(params().get("shapers")).toBe("Pyzel");
+    expect(window.history.length).toBe(before);
+    expect(screen.getByText(/1 shared board is no longer in the catalog; unknown shaper Nobody ignored/)).toBeTruthy();
+  });
+
+  it("keeps the link intact while the page is on sample data", async () => {
+    await renderFinder("?cmp=1,42&shapers=Pyzel", { offline: true });
+    expect(screen.getByText(/Using sample data/)).toBeTruthy();
+    expect(params().get("cmp")).toBe("1,42");
+    expect(params().get("shapers")).toBe("Pyzel");
+    expect(screen.queryByText(/no longer in the catalog/)).toBeNull();
+  });
+});
@@ -0,0 +1,3 @@
+import React from "react";
+
+export const Badge = ({ variant, ...p }: React.HTMLAttributes<HTMLSpanElement> & { variant?: string }) => <span {...p} />;
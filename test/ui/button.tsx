@@ -0,0 +1,5 @@
+import React from "react";
+
+export function Button({ variant, size, type = "button", ...p }: React.ButtonHTMLAttributes<HTMLButtonElement> & { variant?: string; size?: string }) {
+  return <button type={type} {...p} />;
+}
@@ -0,0 +1,17 @@
+import * as DialogPrimitive from "@radix-ui/react-dialog";
+import React from "react";
+
+// Radix underneath, like the shadcn dialog, so focus trapping and onCloseAutoFocus behave as in the app.
+export const Dialog = DialogPrimitive.Root;
+export const DialogContent = React.forwardRef<HTMLDivElement, React.ComponentPropsWithoutRef<typeof DialogPrimitive.Content>>(({ children, ...p }, ref) => (
+  <DialogPrimitive.Portal>
+    <DialogPrimitive.Overlay />
+    <DialogPrimitive.Content ref={ref} {...p}>
+      {children}
+      <DialogPrimitive.Close aria-label="Close">×</DialogPrimitive.Close>
+    </DialogPrimitive.Content>
+  </DialogPrimitive.Portal>
+));
+export const DialogHeader = ({ children }: { children?: React.ReactNode }) => <div>{children}</div>;
+export const DialogTitle = DialogPrimitive.Title;
+export const DialogDescription = DialogPrimitive.Description;
@@ -0,0 +1,3 @@
+import React from "react";
+
+export const Input = (p: React.InputHTMLAttributes<HTMLInputElement>) => <input {...p} />;
@@ -0,0 +1,3 @@
+import React from "react";
+
+export const Label = (p: React.LabelHTMLAttributes<HTMLLabelElement>) => <label {...p} />;
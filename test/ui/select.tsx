@@ -0,0 +1,16 @@
+import React, { createContext, useContext } from "react";
+
+/** Closed-state Select: the trigger and its current value, as Radix renders it before opening. */
+const SelectContext = createContext<{ value?: string }>({});
+
+export function Select({ value, children }: { value?: string; onValueChange?: (v: any) => void; children?: React.ReactNode }) {
+  return <SelectContext.Provider value={{ value }}>{children}</SelectContext.Provider>;
+}
+export function SelectTrigger({ children, className, ...p }: React.ButtonHTMLAttributes<HTMLButtonElement>) {
+  return <button type="button" role="combobox" aria-expanded={false} className={className} {...p}>{children}</button>;
+}
+export function SelectValue({ placeholder }: { placeholder?: string }) {
+  return <span>{useContext(SelectContext).value ?? placeholder}</span>;
+}
+export const SelectContent = (_: { children?: React.ReactNode }) => null;
+export const SelectItem = (_: { value: string; children?: React.ReactNode }) => null;
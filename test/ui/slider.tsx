@@ -0,0 +1,13 @@
+import React from "react";
+
+/** One range input per thumb, named from `thumbLabels`, enough to drive onValueChange from tests. */
+export function Slider({ value = [], min, max, step, onValueChange, thumbLabels }: { value?: number[]; min?: number; max?: number; step?: number; onValueChange?: (v: number[]) => void; thumbLabels?: string[]; className?: string }) {
+  return (
+    <div>
+      {value.map((v, i) => (
+        <input key={i} type="range" aria-label={thumbLabels?.[i]} min={min} max={max} step={step} value={v}
+          onChange={(e) => onValueChange?.(value.map((x, j) => (j === i ? Number(e.target.value) : x)))} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React, { createContext, useContext, useState } from "react";
+
+const TabsContext = createContext<{ value: string; setValue: (v: string) => void }>({ value: "", setValue: () => {} });
+
+export function Tabs({ defaultValue = "", children, className }: { defaultValue?: string; children?: React.ReactNode; className?: string }) {
+  const [value, setValue] = useState(defaultValue);
+  return <TabsContext.Provider value={{ value, setValue }}><div className={className}>{children}</div></TabsContext.Provider>;
+}
+export const TabsList = ({ children, className }: { children?: React.ReactNode; className?: string }) => <div role="tablist" className={className}>{children}</div>;
+export function TabsTrigger({ value, children }: { value: string; children?: React.ReactNode }) {
+  const ctx = useContext(TabsContext);
+  return <button type="button" role="tab" aria-selected={ctx.value === value} onClick={() => ctx.setValue(value)}>{children}</button>;
+}
+/** Like Radix, inactive panels are unmounted. */
+export function TabsContent({ value, children, className }: { value: string; children?: React.ReactNode; className?: string }) {
+  return useContext(TabsContext).value === value ? <div role="tabpanel" className={className}>{children}</div> : null;
+}
@@ -0,0 +1,12 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  // The finder is a single .jsx module written with TypeScript syntax.
+  esbuild: { include: /\.[jt]sx?$/, exclude: [], loader: "tsx", jsx: "automatic" },
+  resolve: {
+    // shadcn/ui components live in the host app; tests use the small stand-ins in test/ui.
+    alias: [{ find: /^@\/components\/ui\/(.*)$/, replacement: fileURLToPath(new URL("./test/ui/$1.tsx", import.meta.url)) }],
+  },
+  test: { include: ["test/**/*.test.{ts,tsx}"] },
+});